@@ -9,19 +9,57 @@
 
 document.addEventListener('DOMContentLoaded', () => {
   // DOM elements
-  const itemNameSelect = document.getElementById('itemNameSelect');
+  const itemFamilySelect = document.getElementById('itemFamilySelect');
+  const itemSizeSelect = document.getElementById('itemSizeSelect');
+  const itemVariantSelect = document.getElementById('itemVariantSelect');
   const itemQtyInput = document.getElementById('itemQty');
   const orderForm = document.getElementById('orderForm');
   const orderItemsList = document.getElementById('orderItems');
   const sendSummaryBtn = document.getElementById('sendSummary');
+  const productionSheetBtn = document.getElementById('productionSheet');
   const resetOrdersBtn = document.getElementById('resetOrders');
   const itemList = document.getElementById('itemList');
+  const archivedItemList = document.getElementById('archivedItemList');
   const addNewItemBtn = document.getElementById('addNewItem');
+  const orderDateInput = document.getElementById('orderDate');
+  const customerSelect = document.getElementById('customerSelect');
+  const bulkGrid = document.getElementById('bulkGrid');
+  const bulkPaste = document.getElementById('bulkPaste');
+  const bulkFillBtn = document.getElementById('bulkFill');
+  const bulkSubmitBtn = document.getElementById('bulkSubmit');
+  const bulkErrors = document.getElementById('bulkErrors');
 
   // Local copies of remote data
   let orders = [];
   let availableItems = [];
-  let editingIndex = null;
+  let customers = [];
+  let editingId = null;
+  // The selected day's archive once it has been closed (see /api/days/:date)
+  let closedDay = null;
+  // The logged-in user with their permissions (see /api/me)
+  let me = null;
+  // Echoed on every write so the server knows it comes from this page
+  let csrfToken = '';
+  // Order writes the service worker queued while offline, oldest first
+  let pendingOps = [];
+
+  /**
+   * Today's date in the browser's local time zone, as YYYY-MM-DD.
+   * @returns {string}
+   */
+  function todayStr() {
+    const d = new Date();
+    const pad = n => String(n).padStart(2, '0');
+    return `${d.getFullYear()}-${pad(d.getMonth() + 1)}-${pad(d.getDate())}`;
+  }
+
+  /**
+   * The day whose order book is currently shown (defaults to today).
+   * @returns {string}
+   */
+  function selectedDate() {
+    return orderDateInput.value || todayStr();
+  }
 
   /**
    * Fetch the list of items from the server. On error, fall back to
@@ -37,47 +75,140 @@ document.addEventListener('DOMContentLoaded', () => {
       }
     } catch (err) {
       console.error(err);
-      availableItems = ['Baguette', 'Whole Wheat', 'Rye', 'Sourdough'];
+      availableItems = ['Baguette', 'Whole Wheat', 'Rye', 'Sourdough']
+        .map(name => ({
+          name, family: name, weight: null, variant: '', sku: '',
+          price: null, currency: 'EUR', customerPrices: {}, archived: false
+        }));
     }
     populateItemSelect();
     renderItemList();
   }
 
   /**
-   * Fetch the current orders from the server. On success, update the
-   * local orders array and re-render the order list. On error, set
-   * orders to empty.
+   * Load the logged-in user and their permissions, and hide what they may
+   * not use.
+   */
+  async function fetchMe() {
+    try {
+      const res = await fetch('/api/me');
+      ({ user: me, csrfToken } = await res.json());
+    } catch (err) {
+      console.error(err);
+      me = null;
+    }
+    resetOrdersBtn.hidden = !can('days.close');
+  }
+
+  /**
+   * Headers for a POST, PUT or DELETE: the given ones plus the CSRF token the
+   * server requires on every write.
+   * @param {Object} [headers]
+   * @returns {Object}
+   */
+  function withCsrf(headers) {
+    return { ...headers, 'X-CSRF-Token': csrfToken };
+  }
+
+  /**
+   * Whether the logged-in user has a permission.
+   * @param {string} permission
+   * @returns {boolean}
+   */
+  function can(permission) {
+    return !!me && me.permissions.includes(permission);
+  }
+
+  /**
+   * Whether the logged-in user may edit or delete an order: their own, or
+   * anyone's with orders.write.any. Orders still waiting to sync are theirs.
+   * @param {Object} order
+   * @returns {boolean}
+   */
+  function canChange(order) {
+    return can('orders.write.any') ||
+      (can('orders.write') && (order.pending === 'new' || order.createdBy === me.username));
+  }
+
+  /**
+   * Fetch the customer registry from the server and refresh the customer
+   * dropdown. On error, the list is left empty.
+   */
+  async function fetchCustomers() {
+    try {
+      const res = await fetch('/api/customers');
+      if (res.ok) {
+        customers = await res.json();
+        customers.sort((a, b) => a.name.localeCompare(b.name));
+      } else {
+        throw new Error('Failed to load customers');
+      }
+    } catch (err) {
+      console.error(err);
+      customers = [];
+    }
+    populateCustomerSelect();
+  }
+
+  /**
+   * Look up a customer's display name. Orders entered before customers
+   * existed have no customerId.
+   * @param {string} [customerId]
+   * @returns {string}
+   */
+  function customerName(customerId) {
+    if (!customerId) return 'No customer';
+    const c = customers.find(x => x.id === customerId);
+    return c ? c.name : 'Unknown customer';
+  }
+
+  /**
+   * Fetch the orders for the selected day from the server. On success,
+   * update the local orders array and re-render the order list. On error,
+   * set orders to empty. A closed day has no live orders; its archived book
+   * is loaded instead, so it can still be read and invoiced.
    */
   async function fetchOrders() {
+    const date = selectedDate();
+    closedDay = null;
     try {
-      const res = await fetch('/api/orders');
+      const res = await fetch(`/api/orders?date=${encodeURIComponent(date)}`);
       if (res.ok) {
         orders = await res.json();
       } else {
         throw new Error('Failed to load orders');
       }
+      if (orders.length === 0) {
+        const dayRes = await fetch(`/api/days/${encodeURIComponent(date)}`);
+        const day = dayRes.ok ? await dayRes.json() : null;
+        if (day && day.closed) closedDay = day;
+      }
     } catch (err) {
       console.error(err);
       orders = [];
     }
-    editingIndex = null;
+    editingId = null;
     renderOrders();
   }
 
   /**
    * Send a POST request to add a new order. Updates the local order list
-   * with the response.
+   * with the response. The id is chosen here so that an order queued offline
+   * can be edited before it reaches the server, and a replay can't duplicate it.
+   * @param {string} customerId
    * @param {string} item
    * @param {number} qty
    */
-  async function createOrder(item, qty) {
+  async function createOrder(customerId, item, qty) {
     try {
-      const res = await fetch('/api/orders', {
+      const res = await fetchWithOverride('/api/orders', {
         method: 'POST',
-        headers: { 'Content-Type': 'application/json' },
-        body: JSON.stringify({ item, qty })
+        headers: withCsrf({ 'Content-Type': 'application/json' }),
+        body: JSON.stringify({ id: newOrderId(), customerId, item, qty, date: selectedDate() })
       });
-      if (res.ok) {
+      if (res.status === 202) {
+        // Queued offline: shown from pendingOps until it syncs
+      } else if (res.ok) {
         orders = await res.json();
       } else {
         const msg = await res.json();
@@ -90,27 +221,99 @@ document.addEventListener('DOMContentLoaded', () => {
     }
   }
 
+  /**
+   * A fresh order id (UUID); the server assigns one if the browser can't.
+   * @returns {string|undefined}
+   */
+  function newOrderId() {
+    return window.crypto && crypto.randomUUID ? crypto.randomUUID() : undefined;
+  }
+
+  /**
+   * Send a write guarded by the revision the user was looking at. If someone
+   * else changed the record first the server answers 412 with the current
+   * record; ask whether to apply our change on top of it and retry with its
+   * revision.
+   * @param {string} url
+   * @param {RequestInit} options
+   * @param {number} rev
+   * @param {function(Object): string} conflictMessage prompt text, given the current record
+   * @returns {Promise<?Response>} the final response, or null if the user kept the other version
+   */
+  async function fetchIfMatch(url, options, rev, conflictMessage) {
+    for (;;) {
+      const res = await fetchWithOverride(url, {
+        ...options,
+        headers: withCsrf({ ...options.headers, 'If-Match': `"${rev || 0}"` })
+      });
+      if (res.status !== 412) return res;
+      const { current } = await res.json();
+      if (!confirm(conflictMessage(current))) return null;
+      rev = current.rev;
+    }
+  }
+
+  /**
+   * Send an order write. Once a day's order cutoff has passed the server
+   * refuses it with 409; users allowed to override are asked for a reason and
+   * the write is sent again with it, which the server records in the audit log.
+   * @param {string} url
+   * @param {RequestInit} options
+   * @returns {Promise<Response>} the final response (the 409 if no reason was given)
+   */
+  async function fetchWithOverride(url, options) {
+    const res = await fetch(url, options);
+    if (res.status !== 409) return res;
+    const refusal = await res.clone().json().catch(() => ({}));
+    if (!refusal.overridable) return res;
+    const reason = prompt(`${refusal.error}.\n\nReason for the change (recorded in the audit log):`);
+    if (!reason || !reason.trim()) return res;
+    const sep = url.includes('?') ? '&' : '?';
+    return fetch(`${url}${sep}overrideReason=${encodeURIComponent(reason.trim())}`, options);
+  }
+
+  /**
+   * Describe an order for conflict prompts.
+   * @param {{ customerId: string, item: string, qty: number }} order
+   * @returns {string}
+   */
+  function describeOrder(order) {
+    return `${customerName(order.customerId)} — ${order.item}: ${order.qty}`;
+  }
+
   /**
    * Send a PUT request to update an existing order. Updates the local
-   * orders list with the response.
-   * @param {number} index
+   * orders list with the response. If the order was changed by someone else
+   * since it was loaded, the user chooses between their version and ours.
+   * @param {Object} order the order as loaded
+   * @param {string} customerId
    * @param {string} item
    * @param {number} qty
    */
-  async function updateOrder(index, item, qty) {
+  async function updateOrder(order, customerId, item, qty) {
     try {
-      const res = await fetch(`/api/orders/${index}`, {
+      const res = await fetchIfMatch(`/api/orders/${encodeURIComponent(order.id)}`, {
         method: 'PUT',
         headers: { 'Content-Type': 'application/json' },
-        body: JSON.stringify({ item, qty })
-      });
-      if (res.ok) {
+        body: JSON.stringify({ customerId, item, qty })
+      }, order.rev, current => 'This order was changed by someone else.\n\n' +
+        `Now: ${describeOrder(current)}\nYours: ${describeOrder({ customerId, item, qty })}\n\n` +
+        'OK saves your version over theirs, Cancel keeps theirs.');
+      if (!res) {
+        // Kept the other version: show it
+        editingId = null;
+        await fetchOrders();
+        return;
+      }
+      if (res.status === 202) {
+        // Queued offline: shown from pendingOps until it syncs
+      } else if (res.ok) {
         orders = await res.json();
       } else {
         const msg = await res.json();
         throw new Error(msg.error || 'Failed to update order');
       }
-      editingIndex = null;
+      editingId = null;
       renderOrders();
     } catch (err) {
       console.error(err);
@@ -120,15 +323,20 @@ document.addEventListener('DOMContentLoaded', () => {
 
   /**
    * Send a DELETE request to remove an order. On success, reload orders
-   * from the server.
-   * @param {number} index
+   * from the server. An order changed by someone else in the meantime is
+   * only deleted after a second confirmation.
+   * @param {Object} order the order as loaded
    */
-  async function deleteOrder(index) {
+  async function deleteOrder(order) {
     try {
-      const res = await fetch(`/api/orders/${index}`, {
+      const res = await fetchIfMatch(`/api/orders/${encodeURIComponent(order.id)}`, {
         method: 'DELETE'
-      });
-      if (res.ok) {
+      }, order.rev, current => 'This order was changed by someone else.\n\n' +
+        `Now: ${describeOrder(current)}\n\nDelete it anyway?`);
+      if (res && res.status === 202) {
+        // Queued offline: shown as pending until it syncs
+        renderOrders();
+      } else if (!res || res.ok) {
         // Delete succeeded: refresh orders list
         await fetchOrders();
       } else {
@@ -150,7 +358,7 @@ document.addEventListener('DOMContentLoaded', () => {
     try {
       const res = await fetch('/api/items', {
         method: 'POST',
-        headers: { 'Content-Type': 'application/json' },
+        headers: withCsrf({ 'Content-Type': 'application/json' }),
         body: JSON.stringify({ name })
       });
       if (res.ok) {
@@ -168,19 +376,23 @@ document.addEventListener('DOMContentLoaded', () => {
   }
 
   /**
-   * Send a PUT request to rename an existing bread item. The server will
-   * handle updating orders that reference the old name. After a
-   * successful response, reload items and orders.
+   * Send a PUT request to rename or re-price an existing bread item. The
+   * server will handle updating orders that reference the old name. After
+   * a successful response, reload items and orders.
    * @param {number} index
-   * @param {string} newName
+   * @param {{ name?: string, price?: ?number, customerPrices?: Object }} changes
    */
-  async function renameItemOnServer(index, newName) {
+  async function updateItemOnServer(index, changes) {
     try {
-      const res = await fetch(`/api/items/${index}`, {
+      const res = await fetchIfMatch(`/api/items/${index}`, {
         method: 'PUT',
         headers: { 'Content-Type': 'application/json' },
-        body: JSON.stringify({ name: newName })
-      });
+        body: JSON.stringify(changes)
+      }, availableItems[index].rev, current => `${current.name} was changed by someone else. Apply your change anyway?`);
+      if (!res) {
+        await fetchItems();
+        return;
+      }
       if (res.ok) {
         availableItems = await res.json();
         // Refresh orders because item names may have changed
@@ -189,41 +401,194 @@ document.addEventListener('DOMContentLoaded', () => {
         renderItemList();
       } else {
         const msg = await res.json();
-        throw new Error(msg.error || 'Failed to rename item');
+        throw new Error(msg.error || 'Failed to update item');
       }
     } catch (err) {
       console.error(err);
-      alert('Could not rename item: ' + err.message);
+      alert('Could not update item: ' + err.message);
     }
   }
 
   /**
-   * Populate the select element with the current available items.
+   * Send a DELETE request to archive a bread item. Archived items no longer
+   * appear in the order form; existing orders keep referring to them.
+   * @param {number} index
    */
-  function populateItemSelect() {
-    const previousValue = itemNameSelect.value;
-    itemNameSelect.innerHTML = '';
-    availableItems.forEach(item => {
+  async function archiveItemOnServer(index) {
+    try {
+      const res = await fetchIfMatch(`/api/items/${index}`, { method: 'DELETE' }, availableItems[index].rev,
+        current => `${current.name} was changed by someone else. Archive it anyway?`);
+      if (!res) {
+        await fetchItems();
+        return;
+      }
+      if (res.ok) {
+        availableItems = await res.json();
+        populateItemSelect();
+        renderItemList();
+        renderOrders();
+      } else {
+        const msg = await res.json();
+        throw new Error(msg.error || 'Failed to archive item');
+      }
+    } catch (err) {
+      console.error(err);
+      alert('Could not archive item: ' + err.message);
+    }
+  }
+
+  /**
+   * Replace a select's options, keeping the previous choice if it is still
+   * offered.
+   * @param {HTMLSelectElement} select
+   * @param {string[]} values
+   * @param {function(string): string} label
+   */
+  function fillOptions(select, values, label) {
+    const previousValue = select.value;
+    select.innerHTML = '';
+    values.forEach(value => {
       const opt = document.createElement('option');
-      opt.value = item;
-      opt.textContent = item;
-      if (item === previousValue) {
+      opt.value = value;
+      opt.textContent = label(value);
+      if (value === previousValue) {
         opt.selected = true;
       }
-      itemNameSelect.appendChild(opt);
+      select.appendChild(opt);
+    });
+  }
+
+  /**
+   * Size key of an item as used by the size picker ('' when it has no weight).
+   * @param {Object} item
+   * @returns {string}
+   */
+  function sizeOf(item) {
+    return item.weight ? String(item.weight) : '';
+  }
+
+  /**
+   * Populate the family → size → variant pickers with the items that can
+   * still be ordered. Each picker only offers choices that exist for the
+   * selections before it.
+   */
+  function populateItemSelect() {
+    const active = availableItems.filter(item => !item.archived);
+    const unique = list => [...new Set(list)];
+    fillOptions(itemFamilySelect, unique(active.map(item => item.family)), f => f);
+    const inFamily = active.filter(item => item.family === itemFamilySelect.value);
+    const sizes = unique(inFamily.map(sizeOf)).sort((a, b) => Number(a) - Number(b));
+    fillOptions(itemSizeSelect, sizes, size => size ? `${size}gr` : '—');
+    const inSize = inFamily.filter(item => sizeOf(item) === itemSizeSelect.value);
+    fillOptions(itemVariantSelect, unique(inSize.map(item => item.variant)), v => v || '—');
+  }
+
+  /**
+   * Name of the item chosen in the family/size/variant pickers, if any.
+   * @returns {string}
+   */
+  function selectedItemName() {
+    const item = availableItems.find(i => !i.archived &&
+      i.family === itemFamilySelect.value &&
+      sizeOf(i) === itemSizeSelect.value &&
+      i.variant === itemVariantSelect.value);
+    return item ? item.name : '';
+  }
+
+  /**
+   * Format an amount of money, or a dash when the item has no price.
+   * @param {?number} amount
+   * @param {string} currency
+   * @returns {string}
+   */
+  function formatMoney(amount, currency) {
+    return amount == null ? '—' : `${currency} ${amount.toFixed(2)}`;
+  }
+
+  /**
+   * Line total for an order, from the unit price captured when it was entered.
+   * @param {Object} order
+   * @returns {?number}
+   */
+  function lineTotal(order) {
+    return order.unitPrice == null ? null : Math.round(order.unitPrice * order.qty * 100) / 100;
+  }
+
+  /**
+   * Ask for a price. Returns undefined when cancelled, null when cleared.
+   * @param {string} message
+   * @param {?number} current
+   * @returns {?number|undefined}
+   */
+  function promptPrice(message, current) {
+    const input = prompt(message, current == null ? '' : String(current));
+    if (input === null) return undefined;
+    if (!input.trim()) return null;
+    const price = parseFloat(input.replace(',', '.'));
+    if (isNaN(price) || price < 0) {
+      alert('Please enter a valid price.');
+      return undefined;
+    }
+    return price;
+  }
+
+  /**
+   * Populate a select element with the customer registry.
+   * @param {HTMLSelectElement} select
+   * @param {string} [selectedId]
+   */
+  function fillCustomerOptions(select, selectedId) {
+    select.innerHTML = '';
+    const placeholder = document.createElement('option');
+    placeholder.value = '';
+    placeholder.textContent = 'Select customer…';
+    select.appendChild(placeholder);
+    customers.forEach(c => {
+      const opt = document.createElement('option');
+      opt.value = c.id;
+      opt.textContent = c.name;
+      if (c.id === selectedId) opt.selected = true;
+      select.appendChild(opt);
     });
   }
 
+  /**
+   * Populate the order form's customer dropdown, keeping the current choice.
+   */
+  function populateCustomerSelect() {
+    fillCustomerOptions(customerSelect, customerSelect.value);
+  }
+
   /**
    * Render the list of available items in the Manage Items section. Each
-   * entry can be clicked to rename it.
+   * entry can be clicked to rename it, and has buttons to set its unit
+   * price, the selected customer's price override, or archive it. Archived
+   * items are listed separately with a Restore button. Indices are
+   * positions in the full catalog, archived items included. The bulk entry
+   * grid follows the catalog too.
    */
   function renderItemList() {
+    renderBulkGrid();
     itemList.innerHTML = '';
-    availableItems.forEach((name, index) => {
+    archivedItemList.innerHTML = '';
+    availableItems.forEach((item, index) => {
+      const name = item.name;
+      if (item.archived) {
+        const li = document.createElement('li');
+        const span = document.createElement('span');
+        span.textContent = name;
+        const restoreBtn = document.createElement('button');
+        restoreBtn.type = 'button';
+        restoreBtn.textContent = 'Restore';
+        restoreBtn.addEventListener('click', () => updateItemOnServer(index, { archived: false }));
+        li.appendChild(span);
+        li.appendChild(restoreBtn);
+        archivedItemList.appendChild(li);
+        return;
+      }
       const li = document.createElement('li');
       const span = document.createElement('span');
-      span.textContent = name;
+      span.textContent = `${name}${item.sku ? ` [${item.sku}]` : ''} (${formatMoney(item.price, item.currency)})`;
       span.title = 'Click to rename';
       span.style.cursor = 'pointer';
       span.addEventListener('click', () => {
@@ -234,158 +599,562 @@ document.addEventListener('DOMContentLoaded', () => {
           alert('Item name cannot be empty.');
           return;
         }
-        renameItemOnServer(index, trimmed);
+        updateItemOnServer(index, { name: trimmed });
+      });
+      const priceBtn = document.createElement('button');
+      priceBtn.type = 'button';
+      priceBtn.textContent = 'Price';
+      priceBtn.addEventListener('click', () => {
+        const price = promptPrice(`Unit price of '${name}' in ${item.currency} (blank for none):`, item.price);
+        if (price === undefined) return;
+        updateItemOnServer(index, { price });
+      });
+      const customerPriceBtn = document.createElement('button');
+      customerPriceBtn.type = 'button';
+      customerPriceBtn.textContent = 'Customer price';
+      customerPriceBtn.addEventListener('click', () => {
+        const customerId = customerSelect.value;
+        if (!customerId) {
+          alert('Select a customer in the order form first.');
+          return;
+        }
+        const current = item.customerPrices ? item.customerPrices[customerId] : undefined;
+        const price = promptPrice(
+          `Price of '${name}' for ${customerName(customerId)} in ${item.currency} (blank to use the standard price):`,
+          current
+        );
+        if (price === undefined) return;
+        updateItemOnServer(index, { customerPrices: { [customerId]: price } });
+      });
+      const archiveBtn = document.createElement('button');
+      archiveBtn.type = 'button';
+      archiveBtn.textContent = 'Archive';
+      archiveBtn.addEventListener('click', () => {
+        if (confirm(`Archive '${name}'? It will no longer be offered for new orders.`)) {
+          archiveItemOnServer(index);
+        }
       });
       li.appendChild(span);
+      li.appendChild(priceBtn);
+      li.appendChild(customerPriceBtn);
+      li.appendChild(archiveBtn);
       itemList.appendChild(li);
     });
+    if (!archivedItemList.children.length) {
+      const emptyLi = document.createElement('li');
+      emptyLi.textContent = 'No archived items.';
+      archivedItemList.appendChild(emptyLi);
+    }
+  }
+
+  /**
+   * Render the bulk entry grid: one quantity box per orderable item, in
+   * catalog order. Quantities already typed are kept.
+   */
+  function renderBulkGrid() {
+    const typed = bulkQuantities();
+    bulkGrid.innerHTML = '';
+    availableItems.filter(item => !item.archived).forEach(item => {
+      const tr = document.createElement('tr');
+      const nameTd = document.createElement('td');
+      nameTd.textContent = item.sku ? `${item.name} [${item.sku}]` : item.name;
+      const qtyTd = document.createElement('td');
+      const qtyInput = document.createElement('input');
+      qtyInput.type = 'number';
+      qtyInput.min = '0';
+      qtyInput.step = '1';
+      qtyInput.style.width = '5rem';
+      qtyInput.dataset.item = item.name;
+      qtyInput.value = typed[item.name] || '';
+      qtyTd.appendChild(qtyInput);
+      tr.appendChild(nameTd);
+      tr.appendChild(qtyTd);
+      bulkGrid.appendChild(tr);
+    });
+  }
+
+  /**
+   * Quantities typed into the bulk grid, keyed by item name.
+   * @returns {Object<string, string>}
+   */
+  function bulkQuantities() {
+    const typed = {};
+    bulkGrid.querySelectorAll('input[data-item]').forEach(input => {
+      if (input.value.trim()) typed[input.dataset.item] = input.value.trim();
+    });
+    return typed;
+  }
+
+  /**
+   * Parse pasted order lines such as "Pita 600gr White 40",
+   * "PITA-600-W: 40" or "Pita 400gr Rye x 12". Names and SKUs match case-insensitively; an item
+   * listed twice adds up.
+   * @param {string} text
+   * @returns {{ quantities: Object<string, number>, errors: string[] }}
+   */
+  function parseBulkText(text) {
+    const quantities = {};
+    const errors = [];
+    text.split(/\r?\n/).forEach((raw, n) => {
+      const line = raw.trim();
+      if (!line) return;
+      const m = /^(.+?)\s*(?:[:,;=×*]|\sx)?\s*(\d+)$/i.exec(line);
+      if (!m) {
+        errors.push(`Line ${n + 1}: expected an item followed by a quantity`);
+        return;
+      }
+      const key = m[1].trim().toLowerCase();
+      const item = availableItems.find(i => !i.archived &&
+        (i.name.toLowerCase() === key || (i.sku && i.sku.toLowerCase() === key)));
+      if (!item) {
+        errors.push(`Line ${n + 1}: unknown item "${m[1].trim()}"`);
+        return;
+      }
+      quantities[item.name] = (quantities[item.name] || 0) + parseInt(m[2], 10);
+    });
+    return { quantities, errors };
+  }
+
+  /**
+   * Replace the grid's quantities with the pasted lines.
+   */
+  function fillBulkGridFromText() {
+    const { quantities, errors } = parseBulkText(bulkPaste.value);
+    bulkGrid.querySelectorAll('input[data-item]').forEach(input => {
+      input.value = quantities[input.dataset.item] || '';
+    });
+    bulkErrors.textContent = errors.join('\n');
   }
 
   /**
-   * Render the list of orders. This function uses the local `orders` array.
-   * When editing, it shows a form row; otherwise it shows the order with
-   * Edit/Delete buttons. Indices correspond to positions in the `orders` array.
+   * Send every filled-in grid line for the selected customer and day as one
+   * batch. The server stores all lines or none, and reports per-line errors.
+   */
+  async function submitBulkOrder() {
+    const customerId = customerSelect.value;
+    if (!customerId) {
+      alert('Please select a customer.');
+      return;
+    }
+    const lines = [];
+    const errors = [];
+    Object.entries(bulkQuantities()).forEach(([item, value]) => {
+      const qty = Number(value);
+      if (!Number.isInteger(qty) || qty < 0) errors.push(`${item}: quantity must be a whole number`);
+      else if (qty > 0) lines.push({ id: newOrderId(), item, qty });
+    });
+    bulkErrors.textContent = errors.join('\n');
+    if (errors.length) return;
+    if (!lines.length) {
+      alert('Enter a quantity for at least one item.');
+      return;
+    }
+    try {
+      const res = await fetchWithOverride('/api/orders/batch', {
+        method: 'POST',
+        headers: withCsrf({ 'Content-Type': 'application/json' }),
+        body: JSON.stringify({ customerId, date: selectedDate(), lines })
+      });
+      if (res.status === 202) {
+        // Queued offline: shown from pendingOps until it syncs
+      } else if (res.ok) {
+        orders = await res.json();
+      } else {
+        const msg = await res.json();
+        if (msg.lines) {
+          bulkErrors.textContent = msg.lines.map(l => `${lines[l.index].item}: ${l.error}`).join('\n');
+          return;
+        }
+        throw new Error(msg.error || 'Failed to add orders');
+      }
+      bulkGrid.querySelectorAll('input[data-item]').forEach(input => { input.value = ''; });
+      bulkPaste.value = '';
+      renderOrders();
+    } catch (err) {
+      console.error(err);
+      alert('Could not add orders: ' + err.message);
+    }
+  }
+
+  /**
+   * Group orders by customer, sorted by customer name.
+   * @param {Array} list
+   * @returns {Array<{ name: string, orders: Array }>}
+   */
+  function groupByCustomer(list) {
+    const groups = new Map();
+    list.forEach(order => {
+      const key = order.customerId || '';
+      if (!groups.has(key)) groups.set(key, { name: customerName(order.customerId), orders: [] });
+      groups.get(key).orders.push(order);
+    });
+    return [...groups.values()].sort((a, b) => a.name.localeCompare(b.name));
+  }
+
+  /**
+   * Render the list of orders, grouped under a heading per customer. This
+   * function uses the local `orders` array. When editing, it shows a form
+   * row; otherwise it shows the order with Edit/Delete buttons. Orders are
+   * addressed by their server-assigned id.
    */
   function renderOrders() {
     orderItemsList.innerHTML = '';
-    if (orders.length === 0) {
+    // A closed day takes no orders, so anything live here is still queued offline
+    const live = withPending(orders);
+    const archived = live.length === 0 && closedDay !== null;
+    const shown = archived ? closedDay.orders.map(order => ({ ...order, closed: true })) : live;
+    if (archived) {
+      const closedLi = document.createElement('li');
+      closedLi.className = 'day-closed';
+      closedLi.textContent = `Closed on ${new Date(closedDay.closedAt).toLocaleString()}` +
+        `${closedDay.closedBy ? ` by ${closedDay.closedBy}` : ''}; the book is archived and read-only.`;
+      orderItemsList.appendChild(closedLi);
+    }
+    if (shown.length === 0) {
       const emptyLi = document.createElement('li');
       emptyLi.textContent = 'No orders yet.';
       orderItemsList.appendChild(emptyLi);
       return;
     }
-    orders.forEach((order, index) => {
-      const li = document.createElement('li');
-      if (editingIndex === index) {
-        // Editing mode
-        const editSelect = document.createElement('select');
-        availableItems.forEach(item => {
-          const opt = document.createElement('option');
-          opt.value = item;
-          opt.textContent = item;
-          if (item === order.item) opt.selected = true;
-          editSelect.appendChild(opt);
-        });
-        const editQty = document.createElement('input');
-        editQty.type = 'number';
-        editQty.min = '1';
-        editQty.value = order.qty;
-        editQty.style.width = '4rem';
-        const saveBtn = document.createElement('button');
-        saveBtn.type = 'button';
-        saveBtn.textContent = 'Save';
-        saveBtn.addEventListener('click', () => {
-          const newItem = editSelect.value;
-          const newQty = parseInt(editQty.value, 10);
-          if (!newItem || isNaN(newQty) || newQty <= 0) {
-            alert('Please enter a valid item and quantity.');
-            return;
-          }
-          updateOrder(index, newItem, newQty);
-        });
-        const cancelBtn = document.createElement('button');
-        cancelBtn.type = 'button';
-        cancelBtn.textContent = 'Cancel';
-        cancelBtn.addEventListener('click', () => {
-          editingIndex = null;
-          renderOrders();
-        });
-        li.appendChild(editSelect);
-        li.appendChild(editQty);
-        li.appendChild(saveBtn);
-        li.appendChild(cancelBtn);
-      } else {
-        const span = document.createElement('span');
-        span.textContent = `${order.item}: ${order.qty}`;
-        const editBtn = document.createElement('button');
-        editBtn.type = 'button';
-        editBtn.textContent = 'Edit';
-        editBtn.addEventListener('click', () => {
-          editingIndex = index;
-          renderOrders();
-        });
-        const deleteBtn = document.createElement('button');
-        deleteBtn.type = 'button';
-        deleteBtn.textContent = 'Delete';
-        deleteBtn.addEventListener('click', async () => {
-          if (confirm('Delete this order?')) {
-            await deleteOrder(index);
+    groupByCustomer(shown).forEach(group => {
+      const headerLi = document.createElement('li');
+      headerLi.className = 'customer-group';
+      headerLi.textContent = group.name;
+      orderItemsList.appendChild(headerLi);
+      group.orders.forEach(order => orderItemsList.appendChild(renderOrderRow(order)));
+    });
+    // Day total, per currency
+    const totals = {};
+    shown.filter(order => order.pending !== 'deleted').forEach(order => {
+      const amount = lineTotal(order);
+      if (amount != null) totals[order.currency] = Math.round(((totals[order.currency] || 0) + amount) * 100) / 100;
+    });
+    const totalLi = document.createElement('li');
+    totalLi.className = 'day-total';
+    const parts = Object.keys(totals).sort().map(c => formatMoney(totals[c], c));
+    totalLi.textContent = `Day total: ${parts.length ? parts.join(' + ') : '—'}`;
+    orderItemsList.appendChild(totalLi);
+  }
+
+  /**
+   * Overlay the writes still waiting in the offline queue on the server's
+   * order list. Orders they touch carry `pending`: 'new', 'changed' or
+   * 'deleted'.
+   * @param {Array} list
+   * @returns {Array}
+   */
+  function withPending(list) {
+    let shown = list;
+    pendingOps.forEach(op => {
+      if (op.method === 'POST') {
+        // A single order, or a batch of lines for one customer and day
+        const created = op.body.lines
+          ? op.body.lines.map(line => ({ ...line, customerId: op.body.customerId, date: op.body.date }))
+          : [op.body];
+        created.forEach(order => {
+          if (order.date === selectedDate() && !shown.some(o => o.id === order.id)) {
+            shown = shown.concat({ ...order, rev: 1, pending: 'new' });
           }
         });
-        li.appendChild(span);
-        li.appendChild(editBtn);
-        li.appendChild(deleteBtn);
+        return;
       }
-      orderItemsList.appendChild(li);
+      const id = decodeURIComponent(new URL(op.url).pathname.split('/')[3]);
+      shown = shown.map(o => {
+        if (o.id !== id) return o;
+        // The server bumps the revision once per write, so chained offline edits line up
+        if (op.method === 'PUT') return { ...o, ...op.body, rev: (o.rev || 0) + 1, pending: o.pending === 'new' ? 'new' : 'changed' };
+        return { ...o, pending: 'deleted' };
+      });
     });
+    return shown;
   }
 
   /**
-   * Generate a summary of orders and create a mailto link. Since orders are
-   * stored on the server, the summary is generated from the local `orders`
-   * array. No data is sent to the server when emailing.
+   * Handle messages from the service worker about the offline queue.
+   * @param {MessageEvent} event
    */
-  function sendSummary() {
-    if (orders.length === 0) {
-      alert('No orders to send.');
+  function handleWorkerMessage(event) {
+    const msg = event.data || {};
+    if (msg.type === 'queue') {
+      // Another user's offline writes on this device are not ours to show
+      pendingOps = msg.entries.filter(op => !op.username || !me || op.username === me.username);
+      refreshOrders();
+    }
+    if (msg.type === 'synced' && editingId === null) fetchOrders();
+    if (msg.type === 'sync-login') alert('Log in again to send the orders that are waiting to sync.');
+    if (msg.type === 'sync-error') alert('An order saved offline was rejected by the server: ' + msg.error);
+    if (msg.type === 'sync-conflict') resolveSyncConflict(msg.entry, msg.current);
+    if (msg.type === 'sync-other-user') {
+      alert(`Orders saved offline by ${msg.usernames.join(', ')} are still waiting to sync. ` +
+        'They are sent when that user logs in on this device again.');
+    }
+  }
+
+  /**
+   * An offline write reached the server after someone else had changed the
+   * order. Ask whether to apply it anyway.
+   * @param {{ method: string, body: ?Object }} entry the rejected write
+   * @param {Object} current the order as stored now
+   */
+  async function resolveSyncConflict(entry, current) {
+    if (entry.method === 'DELETE') {
+      if (confirm('An order you deleted offline was changed by someone else.\n\n' +
+        `Now: ${describeOrder(current)}\n\nDelete it anyway?`)) {
+        await deleteOrder(current);
+      }
       return;
     }
-    const summary = {};
-    orders.forEach(order => {
-      summary[order.item] = (summary[order.item] || 0) + order.qty;
-    });
-    const lines = Object.keys(summary).map(item => `${item}: ${summary[item]}`);
-    const body = encodeURIComponent(lines.join('\n'));
-    const subject = encodeURIComponent('Daily Bread Order Summary');
-    const mailto = `mailto:?subject=${subject}&body=${body}`;
-    window.location.href = mailto;
+    if (confirm('An order you changed offline was also changed by someone else.\n\n' +
+      `Now: ${describeOrder(current)}\nYours: ${describeOrder(entry.body)}\n\n` +
+      'OK saves your version over theirs, Cancel keeps theirs.')) {
+      await updateOrder(current, entry.body.customerId, entry.body.item, entry.body.qty);
+    }
+  }
+
+  /**
+   * Post a message to the active service worker, if there is one.
+   * @param {Object} msg
+   */
+  function postToWorker(msg) {
+    if ('serviceWorker' in navigator && navigator.serviceWorker.controller) {
+      navigator.serviceWorker.controller.postMessage(msg);
+    }
   }
 
   /**
-   * Clear all orders after confirmation by deleting them individually.
-   * This uses the server API to remove each order from the back end.
+   * Build the list entry for a single order.
+   * @param {Object} order
+   * @returns {HTMLLIElement}
    */
-  async function resetOrders() {
-    if (orders.length === 0) {
-      alert('There are no orders to reset.');
+  function renderOrderRow(order) {
+    const li = document.createElement('li');
+    if (editingId === order.id) {
+      // Editing mode
+      const editCustomer = document.createElement('select');
+      fillCustomerOptions(editCustomer, order.customerId);
+      const editSelect = document.createElement('select');
+      // An archived item is only offered when it is this order's current item
+      availableItems.filter(item => !item.archived || item.name === order.item).forEach(item => {
+        const opt = document.createElement('option');
+        opt.value = item.name;
+        opt.textContent = item.name;
+        if (item.name === order.item) opt.selected = true;
+        editSelect.appendChild(opt);
+      });
+      const editQty = document.createElement('input');
+      editQty.type = 'number';
+      editQty.min = '1';
+      editQty.value = order.qty;
+      editQty.style.width = '4rem';
+      const saveBtn = document.createElement('button');
+      saveBtn.type = 'button';
+      saveBtn.textContent = 'Save';
+      saveBtn.addEventListener('click', () => {
+        const newCustomer = editCustomer.value;
+        const newItem = editSelect.value;
+        const newQty = parseInt(editQty.value, 10);
+        if (!newCustomer || !newItem || isNaN(newQty) || newQty <= 0) {
+          alert('Please enter a valid customer, item and quantity.');
+          return;
+        }
+        updateOrder(order, newCustomer, newItem, newQty);
+      });
+      const cancelBtn = document.createElement('button');
+      cancelBtn.type = 'button';
+      cancelBtn.textContent = 'Cancel';
+      cancelBtn.addEventListener('click', () => {
+        editingId = null;
+        renderOrders();
+      });
+      li.appendChild(editCustomer);
+      li.appendChild(editSelect);
+      li.appendChild(editQty);
+      li.appendChild(saveBtn);
+      li.appendChild(cancelBtn);
+    } else {
+      const span = document.createElement('span');
+      const price = order.unitPrice == null ? '' : ` × ${order.unitPrice.toFixed(2)} = ${formatMoney(lineTotal(order), order.currency)}`;
+      span.textContent = `${order.item}: ${order.qty}${price}`;
+      li.appendChild(span);
+      if (order.pending) {
+        const badge = document.createElement('span');
+        badge.className = 'pending-badge';
+        badge.textContent = 'pending sync';
+        badge.title = 'Saved on this device; it will be sent when the connection is back';
+        li.appendChild(badge);
+        if (order.pending === 'deleted') {
+          li.classList.add('pending-delete');
+          return li;
+        }
+      }
+      if (order.closed || !canChange(order)) return li;
+      const editBtn = document.createElement('button');
+      editBtn.type = 'button';
+      editBtn.textContent = 'Edit';
+      editBtn.addEventListener('click', () => {
+        editingId = order.id;
+        renderOrders();
+      });
+      const deleteBtn = document.createElement('button');
+      deleteBtn.type = 'button';
+      deleteBtn.textContent = 'Delete';
+      deleteBtn.addEventListener('click', async () => {
+        if (confirm('Delete this order?')) {
+          await deleteOrder(order);
+        }
+      });
+      li.appendChild(editBtn);
+      li.appendChild(deleteBtn);
+    }
+    return li;
+  }
+
+  /**
+   * Open the server-rendered end-of-day summary for the selected day. The
+   * printable page links to CSV and plain-text downloads for invoicing.
+   */
+  function sendSummary() {
+    if (orders.length === 0 && !closedDay) {
+      alert('No orders to send.');
       return;
     }
-    if (!confirm('Are you sure you want to clear all orders?')) {
+    const url = `/api/summary?date=${encodeURIComponent(selectedDate())}&format=html`;
+    window.open(url, '_blank') || (window.location.href = url);
+  }
+
+  /**
+   * Open the printable production sheet (dough per type, oven batches) for
+   * the selected day in a new tab.
+   */
+  function openProductionSheet() {
+    if (orders.length === 0 && !closedDay) {
+      alert('No orders to produce.');
       return;
     }
-    // Delete orders from back end one by one starting from the end
+    const url = `/api/production?date=${encodeURIComponent(selectedDate())}&format=html`;
+    window.open(url, '_blank') || (window.location.href = url);
+  }
+
+  /**
+   * Close the selected day (needs days.close): the server archives its order
+   * book and clears it from the live list in one step. The confirm token
+   * makes sure the book closed is the one the user agreed to.
+   */
+  async function closeDay() {
+    const date = selectedDate();
     try {
-      for (let i = orders.length - 1; i >= 0; i--) {
-        const res = await fetch(`/api/orders/${i}`, { method: 'DELETE' });
-        if (!res.ok) {
-          const msg = await res.json();
-          throw new Error(msg.error || 'Failed to delete order');
-        }
+      const res = await fetch(`/api/days/${encodeURIComponent(date)}/close-request`, {
+        method: 'POST',
+        headers: withCsrf()
+      });
+      const grant = await res.json();
+      if (!res.ok) throw new Error(grant.error || 'Failed to prepare closing the day');
+      if (grant.orders === 0) {
+        alert(`There are no orders to close for ${date}.`);
+        return;
       }
-      // Now reload orders
+      if (!confirm(`Close ${date}? Its ${grant.orders} order(s) will be archived and no new orders can be added for that day.`)) {
+        return;
+      }
+      const closeRes = await fetch(`/api/days/${encodeURIComponent(date)}/close`, {
+        method: 'POST',
+        headers: withCsrf({ 'Content-Type': 'application/json' }),
+        body: JSON.stringify({ confirmToken: grant.confirmToken })
+      });
+      const result = await closeRes.json();
+      if (!closeRes.ok) throw new Error(result.error || 'Failed to close the day');
       await fetchOrders();
     } catch (err) {
       console.error(err);
-      alert('Could not reset orders: ' + err.message);
+      alert('Could not close the day: ' + err.message);
+    }
+  }
+
+  /**
+   * Re-render the order list unless a line is being edited; redrawing would
+   * throw away the user's input. A save based on an outdated order is caught
+   * by the server's revision check.
+   */
+  function refreshOrders() {
+    if (editingId === null) renderOrders();
+  }
+
+  /**
+   * Apply an order created or changed on another device: replace it in
+   * place, add it if it belongs to the selected day, or drop it if it moved
+   * to another day.
+   * @param {Object} order
+   */
+  function applyOrderChange(order) {
+    const index = orders.findIndex(o => o.id === order.id);
+    if (order.date !== selectedDate()) {
+      orders = orders.filter(o => o.id !== order.id);
+    } else if (index !== -1) {
+      orders = orders.map(o => o.id === order.id ? order : o);
+    } else {
+      orders = orders.concat(order);
     }
+    refreshOrders();
+  }
+
+  /**
+   * Listen for changes made on other devices (GET /api/events) and apply
+   * them to the local orders and items. EventSource reconnects by itself;
+   * events sent while disconnected are lost, so a reconnect reloads.
+   */
+  function subscribeToEvents() {
+    if (!window.EventSource) return;
+    const source = new EventSource('/api/events');
+    let connected = false;
+    source.addEventListener('open', () => {
+      if (connected) fetchItems().then(fetchOrders);
+      connected = true;
+    });
+    source.addEventListener('order.created', e => applyOrderChange(JSON.parse(e.data).order));
+    source.addEventListener('order.updated', e => applyOrderChange(JSON.parse(e.data).order));
+    source.addEventListener('order.deleted', e => {
+      const { id } = JSON.parse(e.data);
+      orders = orders.filter(o => o.id !== id);
+      refreshOrders();
+    });
+    source.addEventListener('orders.changed', () => {
+      if (editingId === null) fetchOrders();
+    });
+    source.addEventListener('items.changed', e => {
+      availableItems = JSON.parse(e.data).items;
+      populateItemSelect();
+      renderItemList();
+      refreshOrders();
+    });
   }
 
   // Event handlers
   orderForm.addEventListener('submit', async event => {
     event.preventDefault();
-    const selectedItem = itemNameSelect.value;
+    const selectedCustomer = customerSelect.value;
+    const selectedItem = selectedItemName();
     const qty = parseInt(itemQtyInput.value, 10);
+    if (!selectedCustomer) {
+      alert('Please select a customer.');
+      return;
+    }
     if (!selectedItem || isNaN(qty) || qty <= 0) {
       alert('Please select a valid item and quantity.');
       return;
     }
-    await createOrder(selectedItem, qty);
+    await createOrder(selectedCustomer, selectedItem, qty);
     itemQtyInput.value = '';
   });
+  bulkFillBtn.addEventListener('click', fillBulkGridFromText);
+  bulkSubmitBtn.addEventListener('click', submitBulkOrder);
   sendSummaryBtn.addEventListener('click', sendSummary);
-  resetOrdersBtn.addEventListener('click', resetOrders);
+  productionSheetBtn.addEventListener('click', openProductionSheet);
+  resetOrdersBtn.addEventListener('click', closeDay);
+  orderDateInput.addEventListener('change', () => fetchOrders());
+  itemFamilySelect.addEventListener('change', populateItemSelect);
+  itemSizeSelect.addEventListener('change', populateItemSelect);
   addNewItemBtn.addEventListener('click', () => {
-    const newName = prompt('Enter new bread item name:');
+    const newName = prompt('Enter new bread item (family, weight and variant, e.g. "Pita 400gr White"):');
     if (newName === null) return;
     const trimmed = newName.trim();
     if (!trimmed) {
@@ -395,15 +1164,66 @@ document.addEventListener('DOMContentLoaded', () => {
     createItem(trimmed);
   });
 
-  // Initial fetch of data
-  fetchItems().then(() => fetchOrders());
+  // Initial fetch of data (the order book defaults to today)
+  orderDateInput.value = todayStr();
+  const loaded = Promise.all([fetchMe(), fetchItems(), fetchCustomers()]).then(() => fetchOrders());
+  loaded.then(subscribeToEvents);
+
+  // Offline queue: show what hasn't synced yet, and send it once we're back
+  // online. Asked for once we know who is logged in, to pick out their writes.
+  if ('serviceWorker' in navigator) {
+    navigator.serviceWorker.addEventListener('message', handleWorkerMessage);
+    loaded.then(() => {
+      postToWorker({ type: 'get-queue' });
+      postToWorker({ type: 'replay' });
+    });
+    window.addEventListener('online', () => postToWorker({ type: 'replay' }));
+  }
 });
 
+/**
+ * Tell the user a new version has been downloaded. Reloading activates it;
+ * until then the page keeps running the version it was loaded with.
+ * @param {ServiceWorker} worker the installed, waiting service worker
+ */
+function showUpdateBanner(worker) {
+  if (document.getElementById('updateBanner')) return;
+  const banner = document.createElement('div');
+  banner.id = 'updateBanner';
+  banner.className = 'update-banner';
+  banner.textContent = 'A new version is available. ';
+  const reloadBtn = document.createElement('button');
+  reloadBtn.type = 'button';
+  reloadBtn.textContent = 'Reload';
+  reloadBtn.addEventListener('click', () => worker.postMessage({ type: 'skip-waiting' }));
+  banner.appendChild(reloadBtn);
+  document.body.appendChild(banner);
+}
+
 // Register service worker for offline support
 if ('serviceWorker' in navigator) {
+  // Reload once the new version takes over, but not on the very first install
+  const hadController = !!navigator.serviceWorker.controller;
+  let reloading = false;
+  navigator.serviceWorker.addEventListener('controllerchange', () => {
+    if (!hadController || reloading) return;
+    reloading = true;
+    window.location.reload();
+  });
   window.addEventListener('load', () => {
     navigator.serviceWorker
       .register('service-worker.js')
+      .then(registration => {
+        if (registration.waiting && navigator.serviceWorker.controller) {
+          showUpdateBanner(registration.waiting);
+        }
+        registration.addEventListener('updatefound', () => {
+          const worker = registration.installing;
+          worker.addEventListener('statechange', () => {
+            if (worker.state === 'installed' && navigator.serviceWorker.controller) showUpdateBanner(worker);
+          });
+        });
+      })
       .catch(err => {
         console.error('Service worker registration failed:', err);
       });
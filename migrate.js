@@ -0,0 +1,74 @@
+/*
+ * One-off import of the JSON data files into the SQLite storage backend.
+ *
+ *   node migrate.js [--from DIR] [--to FILE] [--force]
+ *
+ * Copies orders.json, items.json, users.json, roles.json, api-tokens.json,
+ * customers.json, sessions.json, closed-days.json, standing-orders.json and
+ * the audit.jsonl log from DIR (default: this directory) into the SQLite
+ * database FILE (default: SQLITE_FILE or data.sqlite next to server.js).
+ * Documents that already exist in the database are skipped unless --force is
+ * given; log entries are only imported into an empty log. Start the server
+ * with STORAGE=sqlite afterwards.
+ */
+
+const path = require('path');
+const { createJsonStorage, createSqliteStorage } = require('./storage');
+
+const DOCUMENTS = [
+  'orders', 'items', 'users', 'roles', 'api-tokens', 'customers', 'sessions', 'closed-days', 'standing-orders'
+];
+const LOGS = ['audit'];
+
+function parseArgs(argv) {
+  const opts = {
+    from: __dirname,
+    to: process.env.SQLITE_FILE || path.join(__dirname, 'data.sqlite'),
+    force: false
+  };
+  for (let i = 0; i < argv.length; i++) {
+    if (argv[i] === '--from') opts.from = argv[++i];
+    else if (argv[i] === '--to') opts.to = argv[++i];
+    else if (argv[i] === '--force') opts.force = true;
+    else throw new Error(`Unknown argument: ${argv[i]}`);
+  }
+  return opts;
+}
+
+function migrate(opts) {
+  const source = createJsonStorage(opts.from);
+  const target = createSqliteStorage(opts.to);
+  console.log(`Importing ${source.describe()} into ${target.describe()}`);
+  DOCUMENTS.forEach(name => {
+    if (!source.exists(name)) {
+      console.log(`  ${name}: no ${name}.json, skipped`);
+      return;
+    }
+    if (target.exists(name) && !opts.force) {
+      console.log(`  ${name}: already in the database, skipped (use --force to overwrite)`);
+      return;
+    }
+    const value = source.read(name, null);
+    if (value === null) throw new Error(`${name}.json could not be read`);
+    target.write(name, value);
+    const count = Array.isArray(value) ? value.length : Object.keys(value.users || value).length;
+    console.log(`  ${name}: imported ${count} record(s)`);
+  });
+  LOGS.forEach(name => {
+    const entries = source.readLog(name);
+    if (target.readLog(name).length) {
+      console.log(`  ${name}: log already has entries, skipped`);
+      return;
+    }
+    entries.forEach(entry => target.append(name, entry));
+    console.log(`  ${name}: imported ${entries.length} entr${entries.length === 1 ? 'y' : 'ies'}`);
+  });
+  console.log('Done. Start the server with STORAGE=sqlite to use the database.');
+}
+
+try {
+  migrate(parseArgs(process.argv.slice(2)));
+} catch (e) {
+  console.error('Migration failed:', e.message);
+  process.exit(1);
+}
@@ -1,68 +1,90 @@
 /*
  * Simple Node.js server for the Bread Order App — with Auth & Railway/iOS fixes.
- * Place this file next to: index.html, styles.css, items.json, orders.json, users.json
+ * Place this file next to: index.html, styles.css, storage.js, items.json, orders.json, users.json
+ * Data is stored as JSON files by default; set STORAGE=sqlite to use data.sqlite instead
+ * (import existing files first with `npm run migrate`).
  */
 
 const http = require('http');
 const fs = require('fs');
 const path = require('path');
 const crypto = require('crypto');
+const { createStorage } = require('./storage');
 
 const PORT = process.env.PORT || 3000;
+const DEFAULT_CURRENCY = process.env.CURRENCY || 'EUR';
 const BASE_DIR = __dirname; // Define before use
 
+// Set TRUST_PROXY=1 when the server runs behind a proxy that appends the
+// caller's address to X-Forwarded-For, as Railway's does (the Procfile sets
+// it). Without a proxy anyone can send that header, so it is ignored.
+const TRUST_PROXY = process.env.TRUST_PROXY === '1';
+
 // Detect HTTPS behind Railway's proxy
 function isHttps(req) {
   const xf = (req.headers['x-forwarded-proto'] || '').toString().toLowerCase();
   return xf.includes('https');
 }
-
-// ===== Writable FS helpers for Railway (ephemeral / read-only at times) =====
-let MEMORY_FILES = {}; // path -> stringified JSON (fallback if FS isn't writable)
-
-function safeReadJSON(p, fallback) {
-  try {
-    if (MEMORY_FILES[p]) return JSON.parse(MEMORY_FILES[p]);
-    if (fs.existsSync(p)) return JSON.parse(fs.readFileSync(p, 'utf-8'));
-  } catch (e) {
-    console.warn('Read JSON failed:', p, e.message);
-  }
-  return fallback;
+// Other sites allowed to call the API (CORS_ORIGINS, comma-separated, e.g.
+// https://shop.example.com). Empty: only pages served by this server. Cookies
+// are never sent cross-origin; those callers authenticate with an API token.
+const CORS_ORIGINS = (process.env.CORS_ORIGINS || '').split(',').map(o => o.trim().replace(/\/$/, '')).filter(Boolean);
+function allowedOrigin(req) {
+  const origin = req.headers.origin;
+  return origin && CORS_ORIGINS.includes(origin) ? origin : null;
 }
-function safeWriteJSON(p, obj) {
-  try {
-    fs.writeFileSync(p, JSON.stringify(obj, null, 2));
-    MEMORY_FILES[p] = null; // clear memory copy on success
-  } catch (e) {
-    if (e && (e.code === 'EROFS' || e.code === 'EACCES')) {
-      console.warn('FS not writable; keeping in memory for this session:', p, e.code);
-      MEMORY_FILES[p] = JSON.stringify(obj);
-    } else {
-      console.warn('Write JSON failed:', p, e.message);
-      throw e;
-    }
-  }
+function corsHeaders(res) {
+  if (!res.__corsOrigin) return {};
+  return {
+    'Access-Control-Allow-Origin': res.__corsOrigin,
+    'Access-Control-Allow-Methods': 'GET, POST, PUT, DELETE, OPTIONS',
+    'Access-Control-Allow-Headers': 'Content-Type, If-Match, Authorization, X-CSRF-Token',
+    'Access-Control-Expose-Headers': 'ETag',
+    'Vary': 'Origin'
+  };
 }
 
-// ===== File paths =====
-const ordersFile = path.join(BASE_DIR, 'orders.json');
-const itemsFile  = path.join(BASE_DIR, 'items.json');
-const usersFile  = path.join(BASE_DIR, 'users.json');
+// ===== Storage (JSON files, SQLite or memory; see storage.js) =====
+// Documents: orders, items, users, roles, api-tokens, customers, sessions,
+// closed-days, standing-orders. Logs: audit.
+const storage = createStorage(process.env, BASE_DIR);
+// Repair anything a crash left behind before the first read
+storage.recover(['orders', 'items', 'users', 'roles', 'api-tokens', 'customers', 'sessions', 'closed-days', 'standing-orders']);
+// Data files that must never be served as static assets
+const PRIVATE_FILES = new Set([
+  'orders.json', 'items.json', 'users.json', 'customers.json', 'audit.jsonl', 'sessions.json',
+  'roles.json', 'api-tokens.json', 'closed-days.json', 'standing-orders.json',
+  'data.sqlite', 'data.sqlite-wal', 'data.sqlite-shm'
+]);
+// ...nor their backups, temp files and locks (see storage.js)
+const PRIVATE_FILE_SUFFIX = /\.json\.(bak|lock|tmp-[\d-]+|damaged-\d+)$/;
 
 // ===== Basic JSON response helper (no-store + HSTS) =====
-function sendJson(res, status, obj) {
+function sendJson(res, status, obj, headers) {
   const body = JSON.stringify(obj);
   res.writeHead(status, {
+    ...headers,
     'Content-Type': 'application/json',
     'Cache-Control': 'no-store', // prevents stale auth on iOS/SW
     'Strict-Transport-Security': 'max-age=31536000; includeSubDomains; preload',
-    'Access-Control-Allow-Origin': '*',
-    'Access-Control-Allow-Methods': 'GET, POST, PUT, DELETE, OPTIONS',
-    'Access-Control-Allow-Headers': 'Content-Type'
+    ...corsHeaders(res)
   });
   res.end(body);
 }
 
+// ===== Document response helper (CSV / HTML / plain-text reports) =====
+function sendDocument(res, contentType, body, filename) {
+  const headers = {
+    'Content-Type': `${contentType}; charset=utf-8`,
+    'Cache-Control': 'no-store',
+    'Strict-Transport-Security': 'max-age=31536000; includeSubDomains; preload',
+    ...corsHeaders(res)
+  };
+  if (filename) headers['Content-Disposition'] = `attachment; filename="${filename}"`;
+  res.writeHead(200, headers);
+  res.end(body);
+}
+
 // ===== Static file helper (no-store for HTML) =====
 function serveStatic(filePath, res) {
   const ext = path.extname(filePath).toLowerCase();
@@ -93,35 +115,322 @@ function serveStatic(filePath, res) {
     res.end(data);
   });
 }
+// ===== Asset manifest (service worker precache) =====
+// Content hashes of the app shell, computed at startup, so there is no build
+// step: the service worker precaches these files, and its own script is served
+// with the manifest version filled in, so any change to them (after a restart)
+// installs a new worker with a fresh cache.
+const PRECACHE_ASSETS = ['/index.html', '/login.html', '/styles.css', '/app_server.js', '/manifest.json'];
+function hashOf(data) {
+  return crypto.createHash('sha256').update(data).digest('hex').slice(0, 12);
+}
+function buildAssetManifest() {
+  const assets = {};
+  PRECACHE_ASSETS.forEach(asset => {
+    const file = path.join(BASE_DIR, asset.slice(1));
+    if (fs.existsSync(file)) assets[asset] = hashOf(fs.readFileSync(file));
+  });
+  const worker = fs.readFileSync(path.join(BASE_DIR, 'service-worker.js'));
+  return { version: hashOf(JSON.stringify(assets) + worker), assets };
+}
+const assetManifest = buildAssetManifest();
+function serveServiceWorker(res) {
+  const source = fs.readFileSync(path.join(BASE_DIR, 'service-worker.js'), 'utf-8');
+  res.writeHead(200, {
+    'Content-Type': 'application/javascript',
+    'Cache-Control': 'no-cache', // browsers must check for a new version on every load
+    'Strict-Transport-Security': 'max-age=31536000; includeSubDomains; preload'
+  });
+  res.end(source.replace('__ASSET_VERSION__', assetManifest.version));
+}
+
 function redirect(res, location) {
   res.writeHead(302, { Location: location });
   res.end();
 }
 
+// ===== Session stores =====
+// A store maps a session key (sha256 of the cookie token, so storage never holds
+// usable tokens) to { username, role, createdAt, lastSeen, expiresAt }.
+// Stores implement get(key), set(key, session), delete(key) and entries().
+// Sessions are persisted in the "sessions" document by default, so they survive
+// restarts; SESSION_STORE=memory keeps them in this process only.
+const SESSION_TTL_MS = (Number(process.env.SESSION_TTL_HOURS) || 24 * 7) * 3600 * 1000;
+const SESSION_RENEW_MS = 15 * 60 * 1000; // sliding renewal at most this often per session
+
+function createMemorySessionStore() {
+  const map = new Map();
+  return {
+    get: key => map.get(key) || null,
+    set: (key, session) => { map.set(key, session); },
+    delete: key => { map.delete(key); },
+    entries: () => [...map.entries()]
+  };
+}
+function createPersistentSessionStore(store, name) {
+  const map = new Map(Object.entries(store.read(name, {})));
+  const save = () => store.write(name, Object.fromEntries(map));
+  return {
+    get: key => map.get(key) || null,
+    set: (key, session) => { map.set(key, session); save(); },
+    delete: key => { if (map.delete(key)) save(); },
+    entries: () => [...map.entries()]
+  };
+}
+const sessions = process.env.SESSION_STORE === 'memory'
+  ? createMemorySessionStore()
+  : createPersistentSessionStore(storage, 'sessions');
+
+function sessionKey(token) {
+  return crypto.createHash('sha256').update(token).digest('hex');
+}
+function startSession(res, user) {
+  const token = crypto.randomBytes(24).toString('hex');
+  const now = Date.now();
+  sessions.set(sessionKey(token), {
+    username: user.username, role: user.role,
+    ...(user.mustChangePassword && { mustChangePassword: true }),
+    createdAt: now, lastSeen: now, expiresAt: now + SESSION_TTL_MS
+  });
+  setSessionCookie(res, token);
+}
+function setSessionCookie(res, token) {
+  setCookie(res, 'session', token, { httpOnly: true, path: '/', sameSite: 'Lax', maxAge: Math.floor(SESSION_TTL_MS / 1000) });
+}
+function purgeExpiredSessions() {
+  const now = Date.now();
+  sessions.entries().forEach(([key, s]) => { if (s.expiresAt <= now) sessions.delete(key); });
+}
+// Revoke every session of a user; returns how many were removed
+function revokeUserSessions(username) {
+  const keys = sessions.entries().filter(([, s]) => s.username === username).map(([key]) => key);
+  keys.forEach(key => sessions.delete(key));
+  return keys.length;
+}
+
+// ===== API tokens =====
+// For scripts and other systems: "Authorization: Bearer <token>" authenticates
+// as the token's user, with that user's current role. The "api-tokens"
+// document holds [{ id, name, username, key, createdAt, lastUsedAt }] where key
+// is the sha256 of the token; the token itself is only shown once, on creation.
+const TOKEN_TOUCH_MS = 60 * 60 * 1000; // lastUsedAt is updated at most this often
+
+function readApiTokens() {
+  return storage.read('api-tokens', []);
+}
+function publicToken(t) {
+  return { id: t.id, name: t.name, username: t.username, createdAt: t.createdAt, lastUsedAt: t.lastUsedAt };
+}
+function createApiToken(username, name) {
+  const token = 'bo_' + crypto.randomBytes(32).toString('hex');
+  const entry = { id: newId(), name, username, key: sessionKey(token), createdAt: new Date().toISOString(), lastUsedAt: null };
+  storage.update('api-tokens', [], tokens => { tokens.push(entry); });
+  return { ...publicToken(entry), token };
+}
+function tokenUser(token) {
+  const key = sessionKey(token);
+  const entry = readApiTokens().find(t => t.key === key);
+  const user = entry && readUsers().users.find(u => u.username === entry.username);
+  if (!user) return null;
+  if (!entry.lastUsedAt || Date.now() - Date.parse(entry.lastUsedAt) >= TOKEN_TOUCH_MS) {
+    storage.update('api-tokens', [], tokens => {
+      const t = tokens.find(x => x.id === entry.id);
+      if (!t) return false;
+      t.lastUsedAt = new Date().toISOString();
+    });
+  }
+  return { username: user.username, role: user.role };
+}
+// Revoke every API token of a user; returns how many were removed
+function revokeUserTokens(username) {
+  let removed = 0;
+  storage.update('api-tokens', [], tokens => {
+    const kept = tokens.filter(t => t.username !== username);
+    removed = tokens.length - kept.length;
+    if (!removed) return false;
+    tokens.splice(0, tokens.length, ...kept);
+  });
+  return removed;
+}
+
 // ===== Auth helpers =====
-const sessions = new Map(); // token -> { username, role }
+// API routes anyone may call; all others are rejected with 401 before dispatch
+const PUBLIC_ROUTES = [
+  { method: 'POST', path: '/api/login' },
+  { method: 'POST', path: '/api/logout' },
+  { method: 'GET', path: '/api/me' } // answers { user: null, csrfToken } when logged out
+];
+// All a session may use until its user has changed a forced password
+const PASSWORD_CHANGE_ROUTES = PUBLIC_ROUTES.concat([
+  { method: 'GET', path: '/api/password-policy' },
+  { method: 'PUT', path: '/api/me/password' }
+]);
+function isPublicRoute(method, url) {
+  return PUBLIC_ROUTES.some(r => r.method === method && r.path === url);
+}
+function isPasswordChangeRoute(method, url) {
+  return PASSWORD_CHANGE_ROUTES.some(r => r.method === method && r.path === url);
+}
 
 function readUsers() {
-  if (!fs.existsSync(usersFile)) {
-    safeWriteJSON(usersFile, { users: [] });
+  if (!storage.exists('users')) {
+    storage.write('users', { users: [] });
   }
-  const data = safeReadJSON(usersFile, { users: [] });
+  const data = storage.read('users', { users: [] });
   data.users = data.users || [];
   return data;
 }
-function writeUsers(data) {
-  safeWriteJSON(usersFile, data);
+// Read-modify-write the user list under the storage lock; see storage.update()
+function updateUsers(fn) {
+  return storage.update('users', { users: [] }, data => {
+    data.users = data.users || [];
+    return fn(data.users);
+  });
 }
-function hashPassword(password, saltHex, iter) {
-  const iterations = iter || 200000;
-  const salt = saltHex ? Buffer.from(saltHex, 'hex') : crypto.randomBytes(16);
-  const hash = crypto.pbkdf2Sync(password, salt, iterations, 32, 'sha256');
+// ===== Passwords =====
+// pbkdf2 takes a good fraction of a second, so requests hash on libuv's thread
+// pool (crypto.pbkdf2) and never stall the event loop; only startup hashes
+// synchronously.
+const PASSWORD_ITERATIONS = 200000;
+
+function passwordRecord(salt, iterations, hash) {
   return { algo: 'pbkdf2_sha256', iter: iterations, salt: salt.toString('hex'), hash: hash.toString('hex') };
 }
-function verifyPassword(password, ph) {
+function hashPasswordSync(password) {
+  const salt = crypto.randomBytes(16);
+  return passwordRecord(salt, PASSWORD_ITERATIONS, crypto.pbkdf2Sync(password, salt, PASSWORD_ITERATIONS, 32, 'sha256'));
+}
+function verifyPasswordSync(password, ph) {
   if (!ph || ph.algo !== 'pbkdf2_sha256') return false;
-  const check = hashPassword(password, ph.salt, ph.iter);
-  return crypto.timingSafeEqual(Buffer.from(check.hash, 'hex'), Buffer.from(ph.hash, 'hex'));
+  const expected = Buffer.from(ph.hash, 'hex');
+  const hash = crypto.pbkdf2Sync(password, Buffer.from(ph.salt, 'hex'), ph.iter, expected.length, 'sha256');
+  return crypto.timingSafeEqual(hash, expected);
+}
+// cb(err, record)
+function hashPassword(password, cb) {
+  const salt = crypto.randomBytes(16);
+  crypto.pbkdf2(String(password), salt, PASSWORD_ITERATIONS, 32, 'sha256', (err, hash) => {
+    cb(err, err ? null : passwordRecord(salt, PASSWORD_ITERATIONS, hash));
+  });
+}
+// cb(err, matches)
+function verifyPassword(password, ph, cb) {
+  if (!ph || ph.algo !== 'pbkdf2_sha256') return process.nextTick(cb, null, false);
+  const expected = Buffer.from(ph.hash, 'hex');
+  crypto.pbkdf2(String(password), Buffer.from(ph.salt, 'hex'), ph.iter, expected.length, 'sha256', (err, hash) => {
+    cb(err, !err && crypto.timingSafeEqual(hash, expected));
+  });
+}
+// Checked for unknown usernames, so they take as long as wrong passwords
+const DUMMY_PASSWORD = hashPasswordSync(crypto.randomBytes(16).toString('hex'));
+
+// ===== Password policy =====
+// Checked whenever a password is set: at least PASSWORD_MIN_LENGTH characters
+// (default 10) mixing PASSWORD_MIN_CLASSES (default 2) of lowercase letters,
+// uppercase letters, digits and symbols, and not containing the username.
+// Existing passwords keep working until they are changed.
+const PASSWORD_MIN_LENGTH = parseInt(process.env.PASSWORD_MIN_LENGTH, 10) || 10;
+const PASSWORD_MIN_CLASSES = parseInt(process.env.PASSWORD_MIN_CLASSES || '2', 10);
+const PASSWORD_MAX_LENGTH = 200;
+const PASSWORD_CLASSES = [/[a-z]/, /[A-Z]/, /[0-9]/, /[^a-zA-Z0-9]/];
+if (!(PASSWORD_MIN_CLASSES >= 0 && PASSWORD_MIN_CLASSES <= PASSWORD_CLASSES.length)) {
+  throw new Error(`Invalid PASSWORD_MIN_CLASSES "${process.env.PASSWORD_MIN_CLASSES}", expected 0 to ${PASSWORD_CLASSES.length}`);
+}
+// Created on first boot; whoever logs in with it must choose a new one
+const DEFAULT_ADMIN = { username: 'admin', password: 'admin123' };
+
+function describePasswordPolicy() {
+  const mix = PASSWORD_MIN_CLASSES > 1
+    ? `, mixing at least ${PASSWORD_MIN_CLASSES} of lowercase letters, uppercase letters, digits and symbols`
+    : '';
+  return `At least ${PASSWORD_MIN_LENGTH} characters${mix}, not containing the username`;
+}
+// Returns an error message, or null if the password may be used
+function passwordPolicyError(password, username) {
+  if (typeof password !== 'string' || password.length < PASSWORD_MIN_LENGTH) {
+    return `Password must be at least ${PASSWORD_MIN_LENGTH} characters`;
+  }
+  if (password.length > PASSWORD_MAX_LENGTH) return `Password must be at most ${PASSWORD_MAX_LENGTH} characters`;
+  if (PASSWORD_CLASSES.filter(re => re.test(password)).length < PASSWORD_MIN_CLASSES) {
+    return `Password must mix at least ${PASSWORD_MIN_CLASSES} of lowercase letters, uppercase letters, digits and symbols`;
+  }
+  const name = String(username || '').toLowerCase();
+  if (name.length >= 3 && password.toLowerCase().includes(name)) return 'Password must not contain the username';
+  if (password === DEFAULT_ADMIN.password) return 'Password must not be the default password';
+  return null;
+}
+// Installs from before forced password changes may still use the default
+// admin password; make its next login change it
+function flagDefaultAdminPassword() {
+  let flagged = false;
+  updateUsers(users => {
+    const admin = users.find(u => u.username === DEFAULT_ADMIN.username);
+    if (!admin || admin.mustChangePassword || !verifyPasswordSync(DEFAULT_ADMIN.password, admin.password)) return false;
+    admin.mustChangePassword = true;
+    flagged = true;
+  });
+  if (!flagged) return;
+  sessions.entries().filter(([, s]) => s.username === DEFAULT_ADMIN.username)
+    .forEach(([key, s]) => sessions.set(key, { ...s, mustChangePassword: true }));
+  console.log(`${DEFAULT_ADMIN.username} still has the default password and must change it at the next login`);
+}
+
+// ===== Login throttling =====
+// Failed logins are counted per client IP and per username. After
+// LOGIN_FREE_ATTEMPTS each further failure doubles the wait before the next
+// attempt (1s, 2s, 4s, ...); at LOGIN_MAX_FAILURES the username is locked for
+// LOGIN_LOCKOUT_MINUTES, and an IP, which a whole office may share, at three
+// times that. Attempts during a wait get 429 before any hashing. Counts are
+// forgotten after a lockout period without failures, when the user logs in,
+// or when an admin clears them in users.html. They live in memory only.
+const LOGIN_FREE_ATTEMPTS = 3;
+const LOGIN_BACKOFF_MS = 1000;
+const LOGIN_MAX_FAILURES = Number(process.env.LOGIN_MAX_FAILURES) || 10;
+const LOGIN_LOCKOUT_MS = (Number(process.env.LOGIN_LOCKOUT_MINUTES) || 15) * 60 * 1000;
+const LOGIN_IP_FACTOR = 3;
+const loginFailures = new Map(); // 'ip:<address>' / 'user:<name>' -> { failures, lastFailure, blockedUntil }
+const loginsInFlight = new Set(); // usernames being checked right now
+
+// The address the request came from; behind a trusted proxy that is the last
+// X-Forwarded-For entry, which the proxy appends itself
+function clientIp(req) {
+  if (!TRUST_PROXY) return req.socket.remoteAddress;
+  const forwarded = String(req.headers['x-forwarded-for'] || '').split(',').map(a => a.trim()).filter(Boolean);
+  return forwarded.length ? forwarded[forwarded.length - 1] : req.socket.remoteAddress;
+}
+function loginKeys(req, username) {
+  return [`ip:${clientIp(req)}`, `user:${String(username || '').slice(0, 100)}`];
+}
+// Milliseconds until these keys may try again (0: now)
+function loginWait(keys) {
+  const now = Date.now();
+  return Math.max(0, ...keys.map(key => (loginFailures.get(key) || { blockedUntil: 0 }).blockedUntil - now));
+}
+function recordLoginFailure(keys) {
+  const now = Date.now();
+  keys.forEach(key => {
+    const prev = loginFailures.get(key);
+    const failures = prev && now - prev.lastFailure < LOGIN_LOCKOUT_MS ? prev.failures + 1 : 1;
+    const max = key.startsWith('ip:') ? LOGIN_MAX_FAILURES * LOGIN_IP_FACTOR : LOGIN_MAX_FAILURES;
+    let wait = 0;
+    if (failures >= max) wait = LOGIN_LOCKOUT_MS;
+    else if (failures > LOGIN_FREE_ATTEMPTS) {
+      wait = Math.min(LOGIN_BACKOFF_MS * 2 ** (failures - LOGIN_FREE_ATTEMPTS - 1), LOGIN_LOCKOUT_MS);
+    }
+    loginFailures.set(key, { failures, lastFailure: now, blockedUntil: now + wait });
+  });
+}
+function purgeLoginFailures() {
+  const now = Date.now();
+  loginFailures.forEach((f, key) => {
+    if (now - f.lastFailure >= LOGIN_LOCKOUT_MS && f.blockedUntil <= now) loginFailures.delete(key);
+  });
+}
+function sendLoginThrottled(res, waitMs) {
+  const seconds = Math.ceil(waitMs / 1000);
+  const wait = seconds > 90 ? `${Math.ceil(seconds / 60)} minutes` : `${seconds} second${seconds === 1 ? '' : 's'}`;
+  return sendJson(res, 429, { error: `Too many failed logins; try again in ${wait}`, retryAfter: seconds },
+    { 'Retry-After': String(seconds) });
 }
 function parseCookies(req) {
   const header = req.headers.cookie || '';
@@ -132,7 +441,7 @@ function parseCookies(req) {
   });
   return cookies;
 }
-// Secure cookie setter (auto-append Secure on HTTPS)
+// Secure cookie setter (auto-append Secure on HTTPS); adds to cookies already set
 function setCookie(res, name, value, opts = {}) {
   const parts = [`${name}=${encodeURIComponent(value)}`];
   if (opts.httpOnly !== false) parts.push('HttpOnly');
@@ -140,258 +449,1974 @@ function setCookie(res, name, value, opts = {}) {
   if (opts.maxAge != null) parts.push(`Max-Age=${opts.maxAge}`);
   parts.push(`SameSite=${opts.sameSite || 'Lax'}`);
   if (opts.secure || res.__secureFlag) parts.push('Secure'); // iOS/Safari need this on HTTPS
-  res.setHeader('Set-Cookie', parts.join('; '));
+  const previous = (res.getHeader('Set-Cookie') || []).filter(c => !c.startsWith(`${name}=`));
+  res.setHeader('Set-Cookie', previous.concat(parts.join('; ')));
 }
-function currentUser(req) {
+// "Authorization: Bearer <token>"; anything else falls back to the session cookie
+const BEARER_RE = /^Bearer\s+(\S+)$/i;
+// Look up the API token or session for this request. When `res` is given, an
+// active session is renewed (sliding expiry) and its cookie re-issued with a
+// fresh Max-Age.
+function currentUser(req, res) {
+  const bearer = BEARER_RE.exec(req.headers.authorization || '');
+  if (bearer) return tokenUser(bearer[1]);
   const tok = parseCookies(req)['session'];
   if (!tok) return null;
-  return sessions.get(tok) || null;
+  const key = sessionKey(tok);
+  const s = sessions.get(key);
+  if (!s) return null;
+  const now = Date.now();
+  if (s.expiresAt <= now) {
+    sessions.delete(key);
+    return null;
+  }
+  if (res && now - s.lastSeen >= SESSION_RENEW_MS) {
+    sessions.set(key, { ...s, lastSeen: now, expiresAt: now + SESSION_TTL_MS });
+    setSessionCookie(res, tok);
+  }
+  return { username: s.username, role: s.role, mustChangePassword: !!s.mustChangePassword };
+}
+// ===== CSRF protection =====
+// Double-submit token: /api/me hands out a random token in a readable "csrf"
+// cookie (and in its response), login renews it, and every POST/PUT/DELETE to
+// /api/ must echo it in an X-CSRF-Token header. Other sites can't read the
+// cookie, so they can't send the header along with the browser's cookies.
+// Requests with an API token carry no cookies and are exempt.
+const CSRF_COOKIE = 'csrf';
+
+function issueCsrfToken(res) {
+  const token = crypto.randomBytes(24).toString('hex');
+  setCookie(res, CSRF_COOKIE, token, { httpOnly: false, path: '/', sameSite: 'Strict', maxAge: Math.floor(SESSION_TTL_MS / 1000) });
+  return token;
 }
+function csrfTokenFor(req, res) {
+  return parseCookies(req)[CSRF_COOKIE] || issueCsrfToken(res);
+}
+function csrfFails(req) {
+  // Exempt exactly the requests currentUser authenticates by token, never a
+  // malformed header that leaves the cookie in charge
+  if (BEARER_RE.test(req.headers.authorization || '')) return false;
+  const cookie = Buffer.from(parseCookies(req)[CSRF_COOKIE] || '');
+  const header = Buffer.from(String(req.headers['x-csrf-token'] || ''));
+  return !cookie.length || cookie.length !== header.length || !crypto.timingSafeEqual(cookie, header);
+}
+
 function requireAuth(req, res) {
-  const me = currentUser(req);
+  const me = currentUser(req, res);
   if (!me) {
     sendJson(res, 401, { error: 'Unauthorized' });
     return null;
   }
   return me;
 }
-function requireAdmin(req, res) {
+function parseBody(req, res, cb) {
+  let body = '';
+  req.on('data', chunk => body += chunk);
+  req.on('end', () => {
+    let data;
+    try { data = JSON.parse(body || '{}'); }
+    catch (e) { return cb(e); }
+    try { cb(null, data); }
+    catch (e) { sendServerError(res, e); }
+  });
+}
+// Storage failures surface as 500s instead of crashing the server or losing writes
+function sendServerError(res, e) {
+  console.error('Request failed:', e);
+  if (res.headersSent) return res.end();
+  sendJson(res, 500, { error: 'Could not save changes, please try again' });
+}
+// For callbacks that run after parseBody's handler has returned (password
+// hashing), so their storage failures are still answered with a 500
+function guarded(res, fn) {
+  return (...args) => {
+    try { fn(...args); }
+    catch (e) { sendServerError(res, e); }
+  };
+}
+
+// ===== Roles and permissions =====
+// Routes check permissions, not roles. The "roles" document maps each role to
+// its permissions ({ [role]: [permission] }) and is edited by admins through
+// /api/roles; DEFAULT_ROLES seeds it. The admin role always has every
+// permission, so nobody can lock the user management out.
+const PERMISSIONS = {
+  'orders.read': 'See order books and standing orders',
+  'orders.write': 'Enter orders and standing orders, change their own',
+  'orders.write.any': "Change or delete anyone's orders and standing orders",
+  'orders.override': 'Change orders after the cutoff, giving a reason',
+  'customers.read': 'See customers',
+  'customers.write': 'Add, edit and delete customers',
+  'items.write': 'Manage the item catalog and prices',
+  'reports.read': 'Open summaries and production sheets',
+  'days.close': 'Close a day',
+  'audit.read': 'Read the audit log',
+  'users.manage': 'Manage users, roles and sessions'
+};
+const ADMIN_ROLE = 'admin';
+// Written to roles.json on first start; edit them in users.html after that.
+// Drivers take orders on their rounds, often offline (see service-worker.js).
+const DEFAULT_ROLES = {
+  [ADMIN_ROLE]: Object.keys(PERMISSIONS),
+  clerk: ['orders.read', 'orders.write', 'customers.read', 'reports.read'],
+  baker: ['orders.read', 'customers.read', 'reports.read'],
+  driver: ['orders.read', 'orders.write', 'customers.read', 'reports.read']
+};
+const DEFAULT_USER_ROLE = 'clerk';
+const ROLE_NAME_RE = /^[a-z][a-z0-9_-]{0,31}$/;
+// Pages only served to users who may use them
+const PAGE_PERMISSIONS = {
+  '/users.html': 'users.manage',
+  '/customers.html': 'customers.write',
+  '/audit.html': 'audit.read',
+  '/standing-orders.html': 'orders.read'
+};
+
+function readRoles() {
+  return { ...storage.read('roles', DEFAULT_ROLES), [ADMIN_ROLE]: Object.keys(PERMISSIONS) };
+}
+function permissionsOf(role) {
+  return readRoles()[role] || [];
+}
+function can(me, permission) {
+  return !!me && permissionsOf(me.role).includes(permission);
+}
+// The user as shown to the browser, with what they may do
+function describeUser(me) {
+  return me && {
+    username: me.username, role: me.role, permissions: permissionsOf(me.role),
+    mustChangePassword: !!me.mustChangePassword
+  };
+}
+function requirePermission(req, res, permission) {
   const me = requireAuth(req, res);
   if (!me) return null;
-  if (me.role !== 'admin') {
-    sendJson(res, 403, { error: 'Forbidden' });
+  if (!can(me, permission)) {
+    sendJson(res, 403, { error: 'Forbidden', permission });
     return null;
   }
   return me;
 }
-function parseBody(req, cb) {
-  let body = '';
-  req.on('data', chunk => body += chunk);
-  req.on('end', () => {
-    try { cb(null, JSON.parse(body || '{}')); }
-    catch (e) { cb(e); }
+// Orders and standing orders belong to the user who entered them
+function canChange(me, record) {
+  return can(me, 'orders.write.any') || (can(me, 'orders.write') && record.createdBy === me.username);
+}
+// Validate a role's permission list; returns an error message or null
+function validatePermissions(list) {
+  if (!Array.isArray(list)) return 'permissions must be a list';
+  const unknown = list.find(p => !PERMISSIONS[p]);
+  return unknown === undefined ? null : `Unknown permission "${unknown}"`;
+}
+// One-time migration: the old "user" role becomes a clerk
+function migrateRoles() {
+  if (!storage.exists('roles')) storage.write('roles', DEFAULT_ROLES);
+  const roles = readRoles();
+  let changed = 0;
+  updateUsers(users => {
+    users.forEach(u => {
+      if (!roles[u.role]) { u.role = DEFAULT_USER_ROLE; changed++; }
+    });
+    if (!changed) return false;
+  });
+  sessions.entries().filter(([, s]) => !roles[s.role])
+    .forEach(([key, s]) => sessions.set(key, { ...s, role: DEFAULT_USER_ROLE }));
+  if (changed) console.log(`Moved ${changed} user(s) without a known role to ${DEFAULT_USER_ROLE}`);
+}
+
+// ===== Record helpers =====
+function newId() {
+  return crypto.randomUUID();
+}
+const UUID_RE = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+// Orders, items and users carry a revision number, bumped on every change and
+// exposed as the record's ETag. Writes may send it back in If-Match; a stale
+// revision means someone else changed the record first and gets a 412.
+// Records written before revisions existed count as revision 0.
+function etagOf(record) {
+  return `"${record.rev || 0}"`;
+}
+function bumpRev(record) {
+  record.rev = (record.rev || 0) + 1;
+}
+function ifMatchFails(req, record) {
+  const header = req.headers['if-match'];
+  if (!header || header.trim() === '*') return false;
+  return !header.split(',').map(t => t.trim().replace(/^W\//, '')).includes(etagOf(record));
+}
+function sendConflict(res, what, current) {
+  return sendJson(res, 412, { error: `${what} was changed by someone else`, current }, { ETag: etagOf(current) });
+}
+
+// ===== Customer helpers =====
+// Optional text fields; orderCutoff is HH:MM, empty for the default cutoff
+const CUSTOMER_FIELDS = ['contact', 'phone', 'address', 'notes', 'orderCutoff'];
+
+function readCustomers() {
+  return storage.read('customers', []);
+}
+// Validate a customer payload; returns an error message or null
+function validateCustomer(body, customers, selfId) {
+  if (!body || typeof body.name !== 'string' || !body.name.trim()) return 'Customer name is required';
+  const name = body.name.trim().toLowerCase();
+  if (customers.some(c => c.id !== selfId && c.name.toLowerCase() === name)) return 'Customer already exists';
+  for (const f of CUSTOMER_FIELDS) {
+    if (body[f] !== undefined && typeof body[f] !== 'string') return `Invalid ${f}`;
+  }
+  if (body.orderCutoff && !TIME_RE.test(body.orderCutoff.trim())) return 'Invalid orderCutoff, expected HH:MM';
+  return null;
+}
+
+// ===== Audit log (append-only) =====
+
+// reason: why an admin overrode a rule (e.g. the order cutoff), if they did
+function appendAudit(me, action, target, before, after, reason) {
+  const entry = {
+    ts: new Date().toISOString(),
+    user: me ? me.username : null,
+    action,
+    target,
+    before: before === undefined ? null : before,
+    after: after === undefined ? null : after
+  };
+  if (reason) entry.reason = reason;
+  // The change itself is already stored, so a failed append is reported but not fatal
+  try {
+    storage.append('audit', entry);
+  } catch (e) {
+    console.error('AUDIT ENTRY NOT STORED:', JSON.stringify(entry), e.message);
+  }
+}
+function readAudit() {
+  return storage.readLog('audit');
+}
+// Filters: user, action (exact or prefix like "order."), target, from/to (YYYY-MM-DD, inclusive), limit
+function filterAudit(entries, query) {
+  const user = query.get('user');
+  const action = query.get('action');
+  const target = query.get('target');
+  const from = query.get('from');
+  const to = query.get('to');
+  const limit = Math.min(parseInt(query.get('limit'), 10) || 500, 5000);
+  return entries.filter(e =>
+    (!user || e.user === user) &&
+    (!action || e.action === action || (action.endsWith('.') && e.action.startsWith(action))) &&
+    (!target || e.target === target) &&
+    (!from || e.ts.slice(0, 10) >= from) &&
+    (!to || e.ts.slice(0, 10) <= to)
+  ).reverse().slice(0, limit); // newest first
+}
+
+// ===== Live updates (Server-Sent Events) =====
+// Every open GET /api/events stream gets each change as it is stored:
+//   order.created / order.updated { order, previousDate? }, order.deleted { id, date }
+//   orders.changed {} (many orders at once, e.g. an item rename; reload the day)
+//   items.changed { items }
+//   user.changed { username, role, rev } / user.deleted { username } (users.manage only)
+const EVENT_HEARTBEAT_MS = 25000; // keeps proxies from closing idle streams
+const eventClients = new Set(); // { req, res }
+let lastEventId = 0;
+
+function openEventStream(req, res) {
+  res.writeHead(200, {
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-store',
+    'Connection': 'keep-alive',
+    'X-Accel-Buffering': 'no' // nginx: don't buffer the stream
+  });
+  res.write('retry: 3000\n\n');
+  const client = { req, res };
+  eventClients.add(client);
+  req.on('close', () => eventClients.delete(client));
+}
+// Streams outlive logout and revocation, so the session is re-checked on every send
+function broadcast(type, data, opts) {
+  const frame = `id: ${++lastEventId}\nevent: ${type}\ndata: ${JSON.stringify(data)}\n\n`;
+  eventClients.forEach(client => {
+    const me = currentUser(client.req);
+    if (!me) {
+      eventClients.delete(client);
+      client.res.end();
+      return;
+    }
+    if (opts && opts.permission && !can(me, opts.permission)) return;
+    client.res.write(frame);
+  });
+}
+scheduleJob('Event heartbeat', () => {
+  eventClients.forEach(client => {
+    if (currentUser(client.req)) return client.res.write(': ping\n\n');
+    eventClients.delete(client);
+    client.res.end();
+  });
+}, EVENT_HEARTBEAT_MS);
+
+// ===== Item catalog helpers =====
+// Items are { name, family, weight, variant, sku, price, currency,
+// customerPrices: { [customerId]: price }, archived }. The name is derived from
+// family/weight/variant ("Pita 600gr White") and is what orders reference.
+// price null means "not priced yet". Archived items stay in the catalog (items are
+// addressed by index and old orders reference them by name) but cannot be ordered.
+function newItem(name) {
+  return {
+    name, ...parseItemName(name), sku: '',
+    price: null, currency: DEFAULT_CURRENCY, customerPrices: {}, archived: false, rev: 1
+  };
+}
+// "Pita 600gr Whole Wheat" -> { family: 'Pita', weight: 600, variant: 'Whole Wheat' }
+function parseItemName(name) {
+  const m = /^(.*?)\s*(\d+)\s*(?:gr|g)\b\s*(.*)$/i.exec(name.trim());
+  if (!m || !m[1]) return { family: name.trim(), weight: null, variant: '' };
+  return { family: m[1], weight: parseInt(m[2], 10), variant: m[3] };
+}
+function displayName(attrs) {
+  return [attrs.family, attrs.weight ? `${attrs.weight}gr` : '', attrs.variant].filter(Boolean).join(' ');
+}
+// Default SKU like PITA-600-WW, made unique within the catalog
+function skuFor(attrs, items) {
+  const family = attrs.family.replace(/[^A-Za-z0-9]/g, '').slice(0, 4).toUpperCase() || 'ITEM';
+  const variant = attrs.variant.split(/\s+/).filter(Boolean).map(w => w[0]).join('').toUpperCase().replace(/[^A-Z0-9]/g, '');
+  const base = [family, attrs.weight || '', variant].filter(Boolean).join('-');
+  let sku = base;
+  for (let n = 2; items.some(i => i.sku === sku); n++) sku = `${base}-${n}`;
+  return sku;
+}
+// Work out an item's attributes from a POST/PUT payload: a name is parsed into
+// attributes, explicit family/weight/variant win. Returns { attrs } or { error }.
+function resolveItemAttributes(body, current) {
+  if (body.name !== undefined && (typeof body.name !== 'string' || !body.name.trim())) return { error: 'Name cannot be empty' };
+  if (body.family !== undefined && (typeof body.family !== 'string' || !body.family.trim())) return { error: 'Invalid family' };
+  if (body.weight !== undefined && body.weight !== null && !(Number.isInteger(body.weight) && body.weight > 0)) {
+    return { error: 'Invalid weight, expected grams as a whole number' };
+  }
+  if (body.variant !== undefined && typeof body.variant !== 'string') return { error: 'Invalid variant' };
+  if (body.sku !== undefined && (typeof body.sku !== 'string' || !/^[A-Z0-9-]*$/.test(body.sku.trim().toUpperCase()))) {
+    return { error: 'Invalid SKU, expected letters, digits and dashes' };
+  }
+  const attrs = current
+    ? { family: current.family, weight: current.weight, variant: current.variant }
+    : { family: '', weight: null, variant: '' };
+  if (body.name !== undefined) Object.assign(attrs, parseItemName(body.name));
+  if (body.family !== undefined) attrs.family = body.family.trim();
+  if (body.weight !== undefined) attrs.weight = body.weight;
+  if (body.variant !== undefined) attrs.variant = body.variant.trim();
+  if (!attrs.family) return { error: 'Item name or family is required' };
+  return { attrs };
+}
+// Check order lines (a batch, or the one line of a single order write);
+// returns [{ index, error }] (empty when all are fine)
+function validateOrderLines(lines, items) {
+  const errors = [];
+  lines.forEach((line, index) => {
+    const item = line && items.find(i => i.name === line.item);
+    let error = null;
+    if (!line || typeof line.item !== 'string') error = 'Invalid line';
+    else if (!item) error = `Unknown item "${line.item}"`;
+    else if (item.archived) error = `${line.item} is archived`;
+    else if (!Number.isInteger(line.qty) || line.qty <= 0) error = 'Quantity must be a whole number above 0';
+    else if (line.id !== undefined && (typeof line.id !== 'string' || !UUID_RE.test(line.id))) error = 'Invalid order id';
+    else if (line.id && lines.findIndex(l => l && l.id === line.id) !== index) error = 'Duplicate order id';
+    if (error) errors.push({ index, error });
+  });
+  return errors;
+}
+function readItems() {
+  return storage.read('items', []);
+}
+function isPrice(v) {
+  return typeof v === 'number' && Number.isFinite(v) && v >= 0;
+}
+// Validate optional pricing fields of an item payload; returns an error message or null
+function validateItemPricing(body) {
+  if (body.price !== undefined && body.price !== null && !isPrice(body.price)) return 'Invalid price';
+  if (body.currency !== undefined && (typeof body.currency !== 'string' || !/^[A-Z]{3}$/.test(body.currency))) {
+    return 'Invalid currency, expected a 3-letter code';
+  }
+  if (body.customerPrices !== undefined) {
+    if (!body.customerPrices || typeof body.customerPrices !== 'object' || Array.isArray(body.customerPrices)) {
+      return 'Invalid customerPrices';
+    }
+    for (const v of Object.values(body.customerPrices)) {
+      if (v !== null && !isPrice(v)) return 'Invalid customer price';
+    }
+  }
+  return null;
+}
+// Apply validated pricing fields; a null customer price removes the override
+function applyItemPricing(item, body) {
+  if (body.price !== undefined) item.price = body.price;
+  if (body.currency !== undefined) item.currency = body.currency;
+  if (body.customerPrices !== undefined) {
+    for (const [customerId, v] of Object.entries(body.customerPrices)) {
+      if (v === null) delete item.customerPrices[customerId];
+      else item.customerPrices[customerId] = v;
+    }
+  }
+}
+// Unit price for a customer: their override if any, else the item's price
+function priceFor(item, customerId) {
+  if (!item) return { unitPrice: null, currency: DEFAULT_CURRENCY };
+  const override = customerId && item.customerPrices ? item.customerPrices[customerId] : undefined;
+  return { unitPrice: override !== undefined ? override : item.price, currency: item.currency };
+}
+function round2(n) {
+  return Math.round(n * 100) / 100;
+}
+function lineTotal(order) {
+  return order.unitPrice == null ? null : round2(order.unitPrice * order.qty);
+}
+// One-time migration: items.json used to be a bare array of names
+// and later gained structured attributes parsed from those names.
+function migrateItems() {
+  const items = readItems();
+  if (!items.some(i => typeof i === 'string' || i.family === undefined || !i.sku)) return;
+  const migrated = [];
+  items.forEach(i => {
+    const item = typeof i === 'string' ? newItem(i) : { ...newItem(i.name), ...i };
+    if (!item.sku) item.sku = skuFor(item, migrated);
+    migrated.push(item);
+  });
+  storage.write('items', migrated);
+  console.log('Migrated items to structured catalog entries in', storage.describe());
+}
+
+// ===== Order helpers =====
+// Order books are keyed by local calendar day (YYYY-MM-DD)
+function todayStr() {
+  const d = new Date();
+  const pad = n => String(n).padStart(2, '0');
+  return `${d.getFullYear()}-${pad(d.getMonth() + 1)}-${pad(d.getDate())}`;
+}
+function isValidDate(s) {
+  if (typeof s !== 'string' || !/^\d{4}-\d{2}-\d{2}$/.test(s)) return false;
+  const d = new Date(s + 'T00:00:00Z');
+  return !isNaN(d) && d.toISOString().slice(0, 10) === s;
+}
+function addDays(date, n) {
+  const d = new Date(date + 'T00:00:00Z');
+  d.setUTCDate(d.getUTCDate() + n);
+  return d.toISOString().slice(0, 10);
+}
+function ordersForDate(orders, date) {
+  return orders.filter(o => o.date === date);
+}
+
+// ===== Closed days =====
+// Closing a day moves its order book out of the live orders into the
+// closed-days document: { [date]: { closedAt, closedBy, orders } }. A closed
+// day takes no new orders; reports read the archived book.
+const CLOSE_TOKEN_TTL_MS = 5 * 60 * 1000;
+const closeTokens = new Map(); // token -> { date, username, fingerprint, expiresAt }
+
+function readClosedDays() {
+  return storage.read('closed-days', {});
+}
+function isClosedDay(date) {
+  return !!readClosedDays()[date];
+}
+// Live and archived orders of a day
+function bookForDate(date) {
+  const closed = readClosedDays()[date];
+  return ordersForDate(storage.read('orders', []), date).concat(closed ? closed.orders : []);
+}
+// Changes whenever an order of the book is added, edited or removed
+function bookFingerprint(orders) {
+  return crypto.createHash('sha256')
+    .update(orders.map(o => `${o.id}:${o.rev || 0}`).sort().join(','))
+    .digest('hex');
+}
+// Step one of closing a day: a single-use token for the book as the admin saw it
+function issueCloseToken(date, me) {
+  const now = Date.now();
+  closeTokens.forEach((t, key) => { if (t.expiresAt <= now) closeTokens.delete(key); });
+  const token = crypto.randomBytes(16).toString('hex');
+  const orders = ordersForDate(storage.read('orders', []), date);
+  closeTokens.set(token, { date, username: me.username, fingerprint: bookFingerprint(orders), expiresAt: now + CLOSE_TOKEN_TTL_MS });
+  return { date, orders: orders.length, confirmToken: token, expiresAt: new Date(now + CLOSE_TOKEN_TTL_MS).toISOString() };
+}
+// Step two: archive and clear the day in one update of the live orders.
+// Returns { archived } or { status, error }.
+function closeDay(date, me, token) {
+  const grant = closeTokens.get(token);
+  closeTokens.delete(token);
+  if (!grant || grant.date !== date || grant.username !== me.username || grant.expiresAt <= Date.now()) {
+    return { status: 400, error: 'Invalid or expired confirm token' };
+  }
+  let result;
+  storage.update('orders', [], orders => {
+    const book = ordersForDate(orders, date);
+    if (bookFingerprint(book) !== grant.fingerprint) {
+      result = { status: 409, error: 'The order book changed since you confirmed; review it and try again' };
+      return false;
+    }
+    // Archive first: if that fails nothing is removed. Closing again after a
+    // crash between the two writes merges instead of duplicating.
+    storage.update('closed-days', {}, days => {
+      const previous = days[date] ? days[date].orders.filter(o => !book.some(b => b.id === o.id)) : [];
+      days[date] = { closedAt: new Date().toISOString(), closedBy: me.username, orders: previous.concat(book) };
+    });
+    orders.splice(0, orders.length, ...orders.filter(o => o.date !== date));
+    result = { archived: book.length };
+  });
+  return result;
+}
+// One-time migration: legacy orders were addressed by array index and carry
+// no id or date; undated orders are filed under the day of the migration.
+function migrateOrders() {
+  const orders = storage.read('orders', []);
+  let changed = false;
+  orders.forEach(o => {
+    if (!o.id) { o.id = newId(); changed = true; }
+    if (!o.date) { o.date = todayStr(); changed = true; }
   });
+  if (changed) {
+    storage.write('orders', orders);
+    console.log('Migrated legacy orders in', storage.describe());
+  }
 }
 
-// ===== Ensure default data files =====
-if (!fs.existsSync(ordersFile)) safeWriteJSON(ordersFile, []);
-if (!fs.existsSync(itemsFile))  safeWriteJSON(itemsFile, ['Baguette', 'Whole Wheat', 'Rye', 'Sourdough']);
-if (!fs.existsSync(usersFile)) {
-  // Create a default admin so you can log in immediately
-  const pw = hashPassword('admin123');
-  safeWriteJSON(usersFile, { users: [{ username: 'admin', role: 'admin', password: pw }] });
+// ===== Order cutoff =====
+// Orders for a delivery date lock at the cutoff time (local, HH:MM) on the day
+// before: the customer's orderCutoff, else ORDER_CUTOFF (default 18:00). Past
+// days are therefore always locked. After the cutoff only some users can create,
+// change or delete the day's orders (orders.override), and only by giving a reason
+// (?overrideReason=...), which is stored with the audit entry.
+const ORDER_CUTOFF = process.env.ORDER_CUTOFF || '18:00';
+const TIME_RE = /^([01]\d|2[0-3]):[0-5]\d$/;
+if (!TIME_RE.test(ORDER_CUTOFF)) throw new Error(`Invalid ORDER_CUTOFF "${ORDER_CUTOFF}", expected HH:MM`);
+
+function cutoffOf(date, customerId) {
+  const customer = readCustomers().find(c => c.id === customerId);
+  return `${addDays(date, -1)} ${(customer && customer.orderCutoff) || ORDER_CUTOFF}`;
+}
+function isPastCutoff(date, customerId) {
+  const d = new Date();
+  const pad = n => String(n).padStart(2, '0');
+  return `${todayStr()} ${pad(d.getHours())}:${pad(d.getMinutes())}` >= cutoffOf(date, customerId);
+}
+// The reason given for writing past the cutoff, or null
+function overrideReasonOf(me, query) {
+  const reason = (query.get('overrideReason') || '').trim();
+  return can(me, 'orders.override') && reason ? reason.slice(0, 500) : null;
+}
+// The 409 body refusing a write to customerId's orders on date, or null if allowed
+function cutoffRefusal(me, date, customerId, overrideReason) {
+  if (!isPastCutoff(date, customerId) || overrideReason) return null;
+  const cutoff = cutoffOf(date, customerId);
+  const overridable = can(me, 'orders.override');
+  return {
+    error: `Orders for ${date} closed at ${cutoff}` + (overridable ? '; give a reason to change them anyway' : ''),
+    cutoff,
+    overridable
+  };
+}
+
+// ===== Standing orders =====
+// Recurring templates: { id, customerId, weekdays: [0-6, Sunday = 0], lines:
+// [{ item, qty }], startDate, endDate (or null), exceptions: { [date]: { skip }
+// or { lines } }, lastMaterialized, rev }. When a day's order cutoff passes
+// for the customer, its occurrence is written into the order book as ordinary
+// orders carrying standingOrderId; until then a single occurrence can be
+// skipped or adjusted via exceptions. Creating or editing a template never
+// reaches a day already past its cutoff; that takes an order with an override.
+
+function readStandingOrders() {
+  return storage.read('standing-orders', []);
+}
+function weekdayOf(date) {
+  return new Date(date + 'T00:00:00Z').getUTCDay();
+}
+// Last day whose standing orders for the customer should be in the order book by now
+function materializeThrough(customerId) {
+  const tomorrow = addDays(todayStr(), 1);
+  return isPastCutoff(tomorrow, customerId) ? tomorrow : todayStr();
+}
+// A template created or edited after a day's cutoff must not add orders to
+// that day: days already locked for its customer count as done
+function skipLockedDays(template) {
+  const locked = materializeThrough(template.customerId);
+  if (!template.lastMaterialized || template.lastMaterialized < locked) template.lastMaterialized = locked;
+}
+function validateStandingOrder(body, items) {
+  if (!readCustomers().some(c => c.id === body.customerId)) return 'Unknown customer';
+  if (!Array.isArray(body.weekdays) || !body.weekdays.length ||
+      !body.weekdays.every(w => Number.isInteger(w) && w >= 0 && w <= 6)) {
+    return 'weekdays must list at least one day, 0 (Sunday) to 6 (Saturday)';
+  }
+  if (!Array.isArray(body.lines) || !body.lines.length) return 'At least one item line is required';
+  const lineErrors = validateOrderLines(body.lines.map(l => ({ item: l && l.item, qty: l && l.qty })), items);
+  if (lineErrors.length) return `Line ${lineErrors[0].index + 1}: ${lineErrors[0].error}`;
+  if (!isValidDate(body.startDate)) return 'Invalid startDate, expected YYYY-MM-DD';
+  if (body.endDate != null && (!isValidDate(body.endDate) || body.endDate < body.startDate)) {
+    return 'Invalid endDate, expected YYYY-MM-DD on or after startDate';
+  }
+  return null;
+}
+// The lines a template orders on one date (null when it doesn't order then)
+function occurrenceLines(template, date) {
+  if (date < template.startDate || (template.endDate && date > template.endDate)) return null;
+  if (!template.weekdays.includes(weekdayOf(date))) return null;
+  const exception = (template.exceptions || {})[date];
+  if (exception && exception.skip) return null;
+  return exception && exception.lines ? exception.lines : template.lines;
+}
+// Upcoming occurrences for the standing-orders page
+function listOccurrences(template, from, days) {
+  const list = [];
+  for (let i = 0, date = from; i < days; i++, date = addDays(date, 1)) {
+    if (date < template.startDate || (template.endDate && date > template.endDate)) continue;
+    if (!template.weekdays.includes(weekdayOf(date))) continue;
+    const exception = (template.exceptions || {})[date] || null;
+    list.push({
+      date,
+      lines: occurrenceLines(template, date) || [],
+      skipped: !!(exception && exception.skip),
+      adjusted: !!(exception && exception.lines),
+      materialized: !!template.lastMaterialized && date <= template.lastMaterialized
+    });
+  }
+  return list;
+}
+// Write due occurrences into the order book. Past days are never backfilled,
+// and lastMaterialized makes this safe to run any number of times: orders
+// deleted by staff afterwards are not re-created.
+function materializeStandingOrders() {
+  const today = todayStr();
+  const items = readItems();
+  const created = [];
+  storage.update('standing-orders', [], templates => {
+    let changed = false;
+    templates.forEach(t => {
+      const through = materializeThrough(t.customerId);
+      let date = t.lastMaterialized && t.lastMaterialized >= today ? addDays(t.lastMaterialized, 1) : today;
+      for (; date <= through; date = addDays(date, 1)) {
+        const lines = isClosedDay(date) ? null : occurrenceLines(t, date);
+        (lines || []).forEach(line => {
+          const item = items.find(i => i.name === line.item);
+          if (!item || item.archived) {
+            console.warn(`Standing order ${t.id}: ${line.item} is not orderable, skipped for ${date}`);
+            return;
+          }
+          created.push({
+            id: newId(), date, customerId: t.customerId, item: line.item, qty: line.qty,
+            ...priceFor(item, t.customerId), createdBy: t.createdBy || null, rev: 1, standingOrderId: t.id
+          });
+        });
+        t.lastMaterialized = date;
+        changed = true;
+      }
+      // Exceptions for days already in the order book are no longer needed
+      Object.keys(t.exceptions || {}).forEach(d => {
+        if (t.lastMaterialized && d <= t.lastMaterialized) {
+          delete t.exceptions[d];
+          changed = true;
+        }
+      });
+    });
+    if (!changed) return false;
+    // Orders first: if that write fails the templates keep their old state
+    if (created.length) storage.update('orders', [], orders => { orders.push(...created); });
+  });
+  created.forEach(order => {
+    appendAudit(null, 'order.create', order.id, null, order);
+    broadcast('order.created', { order });
+  });
+  if (created.length) console.log(`Standing orders: added ${created.length} order line(s)`);
+}
+
+// Background jobs run again on their next tick, so a failed write (a lock
+// timeout, a full disk) is logged instead of taking the server down
+function scheduleJob(name, fn, ms) {
+  setInterval(() => {
+    try { fn(); }
+    catch (e) { console.error(`${name} failed:`, e); }
+  }, ms).unref();
+}
+
+// ===== Ensure default data =====
+if (!storage.exists('orders')) storage.write('orders', []);
+if (!storage.exists('customers')) storage.write('customers', []);
+migrateOrders();
+if (!storage.exists('items'))  storage.write('items', ['Baguette', 'Whole Wheat', 'Rye', 'Sourdough'].map(newItem));
+migrateItems();
+purgeExpiredSessions();
+scheduleJob('Session purge', purgeExpiredSessions, 60 * 60 * 1000);
+setInterval(purgeLoginFailures, 10 * 60 * 1000).unref();
+if (!storage.exists('users')) {
+  // Create a default admin so you can log in immediately; the first login
+  // has to replace its well-known password
+  const pw = hashPasswordSync(DEFAULT_ADMIN.password);
+  storage.write('users', { users: [{ username: DEFAULT_ADMIN.username, role: ADMIN_ROLE, password: pw, mustChangePassword: true }] });
+}
+migrateRoles();
+flagDefaultAdminPassword();
+if (!storage.exists('standing-orders')) storage.write('standing-orders', []);
+materializeStandingOrders();
+scheduleJob('Standing orders', materializeStandingOrders, 60 * 1000);
+
+// ===== End-of-day summary =====
+// Groups one day's orders per customer and per item, with line totals from the
+// unit price captured on each order; rendered as JSON, CSV, HTML or text.
+// Money totals are keyed by currency so mixed catalogs never get summed together.
+function addAmount(totals, currency, amount) {
+  if (amount == null) return;
+  totals[currency] = round2((totals[currency] || 0) + amount);
+}
+function buildSummary(date) {
+  const orders = bookForDate(date);
+  const customers = readCustomers();
+  const nameOf = id => {
+    if (!id) return 'No customer';
+    const c = customers.find(x => x.id === id);
+    return c ? c.name : 'Unknown customer';
+  };
+  // Lines with the same item and unit price are merged
+  const sumItems = (list, byPrice) => {
+    const lines = new Map();
+    list.forEach(o => {
+      const currency = o.currency || DEFAULT_CURRENCY;
+      const key = byPrice ? `${o.item}\u0000${o.unitPrice}\u0000${currency}` : `${o.item}\u0000${currency}`;
+      if (!lines.has(key)) {
+        lines.set(key, { item: o.item, qty: 0, unitPrice: byPrice ? (o.unitPrice == null ? null : o.unitPrice) : undefined, currency, amount: null });
+      }
+      const line = lines.get(key);
+      line.qty += o.qty;
+      const amount = lineTotal(o);
+      if (amount != null) line.amount = round2((line.amount || 0) + amount);
+    });
+    return [...lines.values()].sort((a, b) => a.item.localeCompare(b.item));
+  };
+  const totalsOf = list => {
+    const totals = {};
+    list.forEach(o => addAmount(totals, o.currency || DEFAULT_CURRENCY, lineTotal(o)));
+    return totals;
+  };
+  const byCustomer = new Map();
+  orders.forEach(o => {
+    const key = o.customerId || '';
+    if (!byCustomer.has(key)) byCustomer.set(key, []);
+    byCustomer.get(key).push(o);
+  });
+  const groups = [...byCustomer].map(([customerId, list]) => ({
+    customerId: customerId || null,
+    name: nameOf(customerId),
+    items: sumItems(list, true),
+    totalQty: list.reduce((n, o) => n + o.qty, 0),
+    totals: totalsOf(list)
+  })).sort((a, b) => a.name.localeCompare(b.name));
+  return {
+    date,
+    customers: groups,
+    items: sumItems(orders, false),
+    totalQty: orders.reduce((n, o) => n + o.qty, 0),
+    totals: totalsOf(orders)
+  };
+}
+function formatMoney(amount, currency) {
+  return amount == null ? '—' : `${currency} ${amount.toFixed(2)}`;
+}
+function formatTotals(totals) {
+  const parts = Object.keys(totals).sort().map(c => formatMoney(totals[c], c));
+  return parts.length ? parts.join(' + ') : '—';
+}
+function csvCell(v) {
+  const str = v == null ? '' : String(v);
+  return /[",\r\n]/.test(str) ? `"${str.replace(/"/g, '""')}"` : str;
+}
+function escapeHtml(v) {
+  return String(v).replace(/[&<>"']/g, c => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' }[c]));
+}
+function renderSummaryCsv(summary) {
+  const rows = [['date', 'customer', 'item', 'qty', 'unit_price', 'currency', 'amount']];
+  summary.customers.forEach(g => g.items.forEach(i => {
+    rows.push([summary.date, g.name, i.item, i.qty, i.unitPrice == null ? '' : i.unitPrice.toFixed(2), i.currency, i.amount == null ? '' : i.amount.toFixed(2)]);
+  }));
+  summary.items.forEach(i => {
+    rows.push([summary.date, 'TOTAL', i.item, i.qty, '', i.currency, i.amount == null ? '' : i.amount.toFixed(2)]);
+  });
+  Object.keys(summary.totals).sort().forEach(c => {
+    rows.push([summary.date, 'TOTAL', 'All items', summary.totalQty, '', c, summary.totals[c].toFixed(2)]);
+  });
+  return rows.map(r => r.map(csvCell).join(',')).join('\r\n') + '\r\n';
+}
+function renderSummaryText(summary) {
+  const lines = [`Daily Bread Order Summary — ${summary.date}`, ''];
+  if (!summary.items.length) lines.push('No orders.');
+  summary.customers.forEach(g => {
+    lines.push(g.name);
+    g.items.forEach(i => {
+      const price = i.unitPrice == null ? '' : ` × ${i.unitPrice.toFixed(2)} = ${formatMoney(i.amount, i.currency)}`;
+      lines.push(`  ${i.item}: ${i.qty}${price}`);
+    });
+    lines.push(`  Subtotal: ${formatTotals(g.totals)}`);
+    lines.push('');
+  });
+  if (summary.items.length) {
+    lines.push('Total');
+    summary.items.forEach(i => lines.push(`  ${i.item}: ${i.qty}${i.amount == null ? '' : ` = ${formatMoney(i.amount, i.currency)}`}`));
+    lines.push(`  All items: ${summary.totalQty}`);
+    lines.push(`  Day total: ${formatTotals(summary.totals)}`);
+  }
+  return lines.join('\n') + '\n';
+}
+function renderSummaryHtml(summary) {
+  const table = (rows, footer, withPrice) => `
+    <table>
+      <thead><tr><th>Item</th><th class="num">Qty</th>${withPrice ? '<th class="num">Unit price</th>' : ''}<th class="num">Amount</th></tr></thead>
+      <tbody>${rows.map(i => `<tr><td>${escapeHtml(i.item)}</td><td class="num">${i.qty}</td>${withPrice ? `<td class="num">${i.unitPrice == null ? '—' : i.unitPrice.toFixed(2)}</td>` : ''}<td class="num">${escapeHtml(formatMoney(i.amount, i.currency))}</td></tr>`).join('')}</tbody>
+      <tfoot><tr><th>${footer.label}</th><th class="num">${footer.qty}</th>${withPrice ? '<th></th>' : ''}<th class="num">${escapeHtml(formatTotals(footer.totals))}</th></tr></tfoot>
+    </table>`;
+  const dateQ = encodeURIComponent(summary.date);
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+  <meta charset="UTF-8"/>
+  <title>Order Summary — ${escapeHtml(summary.date)}</title>
+  <style>
+    body { font-family: sans-serif; color:#222; max-width: 800px; margin: 1.5rem auto; padding: 0 1rem; }
+    table { width:100%; border-collapse: collapse; margin-bottom: 1.5rem; }
+    th, td { padding:.35rem .5rem; border-bottom:1px solid #ddd; text-align:left; }
+    .num { text-align:right; }
+    tfoot th { border-top: 2px solid #222; }
+    h2 { page-break-after: avoid; }
+    .actions a, .actions button { margin-right: .75rem; }
+    @media print { .actions { display:none; } section { page-break-inside: avoid; } }
+  </style>
+</head>
+<body>
+  <div class="actions">
+    <button onclick="window.print()">Print</button>
+    <a href="/api/summary?date=${dateQ}&amp;format=csv">Download CSV</a>
+    <a href="/api/summary?date=${dateQ}&amp;format=txt">Download text</a>
+  </div>
+  <h1>Daily Bread Order Summary — ${escapeHtml(summary.date)}</h1>
+  ${summary.items.length ? '' : '<p>No orders.</p>'}
+  ${summary.customers.map(g => `<section><h2>${escapeHtml(g.name)}</h2>${table(g.items, { label: 'Total', qty: g.totalQty, totals: g.totals }, true)}</section>`).join('\n  ')}
+  ${summary.items.length ? `<section><h2>All customers</h2>${table(summary.items, { label: 'Day total', qty: summary.totalQty, totals: summary.totals }, false)}</section>` : ''}
+</body>
+</html>
+`;
+}
+
+// ===== Production report =====
+// Turns one day's order book into what the bakery floor has to make: dough
+// weight per dough type (item family and variant, e.g. "Pita White") from the
+// item weights, and oven batches per item at OVEN_BATCH_SIZE pieces per batch
+// (default 60, or ?batchSize= per request). Items without a weight are listed
+// but add no dough weight; the report flags them.
+const OVEN_BATCH_SIZE = parseInt(process.env.OVEN_BATCH_SIZE, 10) || 60;
+if (OVEN_BATCH_SIZE < 1) throw new Error(`Invalid OVEN_BATCH_SIZE "${process.env.OVEN_BATCH_SIZE}", expected pieces above 0`);
+
+function buildProduction(date, batchSize) {
+  const items = readItems();
+  const doughs = new Map(); // dough type -> item name -> line
+  bookForDate(date).forEach(o => {
+    const item = items.find(i => i.name === o.item) || { sku: '', ...parseItemName(o.item) };
+    const dough = [item.family, item.variant].filter(Boolean).join(' ');
+    if (!doughs.has(dough)) doughs.set(dough, new Map());
+    const lines = doughs.get(dough);
+    if (!lines.has(o.item)) lines.set(o.item, { item: o.item, sku: item.sku, unitWeight: item.weight || null, qty: 0 });
+    lines.get(o.item).qty += o.qty;
+  });
+  const sum = (list, key) => list.reduce((n, x) => n + (x[key] || 0), 0);
+  const groups = [...doughs].map(([dough, lines]) => {
+    // Largest pieces first, the order they usually go into the oven
+    const list = [...lines.values()].map(l => ({
+      ...l,
+      weight: l.unitWeight == null ? null : l.unitWeight * l.qty,
+      batches: Math.ceil(l.qty / batchSize)
+    })).sort((a, b) => (b.unitWeight || 0) - (a.unitWeight || 0) || a.item.localeCompare(b.item));
+    return {
+      dough,
+      items: list,
+      qty: sum(list, 'qty'),
+      weight: sum(list, 'weight'),
+      batches: sum(list, 'batches'),
+      missingWeights: list.filter(l => l.weight == null).map(l => l.item)
+    };
+  }).sort((a, b) => a.dough.localeCompare(b.dough));
+  return {
+    date,
+    batchSize,
+    doughs: groups,
+    totalQty: sum(groups, 'qty'),
+    totalWeight: sum(groups, 'weight'),
+    totalBatches: sum(groups, 'batches')
+  };
+}
+function formatWeight(grams) {
+  return `${(grams / 1000).toFixed(2)} kg`;
+}
+function renderProductionCsv(report) {
+  const rows = [['date', 'dough', 'item', 'sku', 'qty', 'unit_weight_g', 'weight_kg', 'batches']];
+  report.doughs.forEach(d => {
+    d.items.forEach(i => {
+      rows.push([report.date, d.dough, i.item, i.sku, i.qty, i.unitWeight, i.weight == null ? '' : (i.weight / 1000).toFixed(2), i.batches]);
+    });
+    rows.push([report.date, d.dough, 'TOTAL', '', d.qty, '', (d.weight / 1000).toFixed(2), d.batches]);
+  });
+  rows.push([report.date, 'TOTAL', '', '', report.totalQty, '', (report.totalWeight / 1000).toFixed(2), report.totalBatches]);
+  return rows.map(r => r.map(csvCell).join(',')).join('\r\n') + '\r\n';
+}
+function renderProductionHtml(report) {
+  const dateQ = encodeURIComponent(report.date);
+  const section = d => `<section>
+    <h2>${escapeHtml(d.dough)} — ${escapeHtml(formatWeight(d.weight))} dough</h2>
+    ${d.missingWeights.length ? `<p class="warn">No weight set for ${escapeHtml(d.missingWeights.join(', '))}; not included in the dough weight.</p>` : ''}
+    <table>
+      <thead><tr><th>Item</th><th>SKU</th><th class="num">Pieces</th><th class="num">Dough</th><th class="num">Batches</th><th class="check">Done</th></tr></thead>
+      <tbody>${d.items.map(i => `<tr><td>${escapeHtml(i.item)}</td><td>${escapeHtml(i.sku)}</td><td class="num">${i.qty}</td><td class="num">${i.weight == null ? '—' : escapeHtml(formatWeight(i.weight))}</td><td class="num">${i.batches}</td><td class="check">☐</td></tr>`).join('')}</tbody>
+      <tfoot><tr><th>Total</th><th></th><th class="num">${d.qty}</th><th class="num">${escapeHtml(formatWeight(d.weight))}</th><th class="num">${d.batches}</th><th></th></tr></tfoot>
+    </table>
+  </section>`;
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+  <meta charset="UTF-8"/>
+  <title>Production Sheet — ${escapeHtml(report.date)}</title>
+  <style>
+    body { font-family: sans-serif; color:#222; max-width: 800px; margin: 1.5rem auto; padding: 0 1rem; }
+    table { width:100%; border-collapse: collapse; margin-bottom: 1.5rem; }
+    th, td { padding:.35rem .5rem; border-bottom:1px solid #ddd; text-align:left; }
+    .num { text-align:right; }
+    .check { text-align:center; width: 3rem; }
+    .warn { color:#c62828; }
+    tfoot th { border-top: 2px solid #222; }
+    h2 { page-break-after: avoid; }
+    .actions a, .actions button, .actions form { margin-right: .75rem; }
+    .actions form { display:inline; }
+    @media print { .actions { display:none; } section { page-break-inside: avoid; } }
+  </style>
+</head>
+<body>
+  <div class="actions">
+    <button onclick="window.print()">Print</button>
+    <a href="/api/production?date=${dateQ}&amp;batchSize=${report.batchSize}&amp;format=csv">Download CSV</a>
+    <form method="GET" action="/api/production">
+      <input type="hidden" name="date" value="${escapeHtml(report.date)}"/>
+      <input type="hidden" name="format" value="html"/>
+      <label>Pieces per batch <input name="batchSize" type="number" min="1" value="${report.batchSize}" style="width:5rem"/></label>
+      <button type="submit">Recalculate</button>
+    </form>
+  </div>
+  <h1>Production Sheet — ${escapeHtml(report.date)}</h1>
+  <p>${report.totalQty} pieces, ${escapeHtml(formatWeight(report.totalWeight))} dough, ${report.totalBatches} oven batch${report.totalBatches === 1 ? '' : 'es'} of up to ${report.batchSize} pieces.</p>
+  ${report.doughs.length ? report.doughs.map(section).join('\n  ') : '<p>No orders.</p>'}
+</body>
+</html>
+`;
 }
 
 // ===== HTTP server =====
-const server = http.createServer((req, res) => {
-  // Mark whether this request is effectively HTTPS (via proxy)
+function handleRequest(req, res) {
+  // Mark whether this request is effectively HTTPS (via proxy), and whether it
+  // comes from an allowed other origin
   res.__secureFlag = isHttps(req);
+  res.__corsOrigin = allowedOrigin(req);
 
   const method = req.method;
   let url = req.url;
   const q = url.indexOf('?');
+  const query = new URLSearchParams(q !== -1 ? url.slice(q + 1) : '');
   if (q !== -1) url = url.slice(0, q);
 
-  // CORS preflight
+  // CORS preflight: no allow headers for origins outside CORS_ORIGINS
   if (method === 'OPTIONS') {
-    res.writeHead(204, {
-      'Access-Control-Allow-Origin': '*',
-      'Access-Control-Allow-Methods': 'GET, POST, PUT, DELETE, OPTIONS',
-      'Access-Control-Allow-Headers': 'Content-Type'
-    });
+    res.writeHead(204, corsHeaders(res));
     res.end();
     return;
   }
 
+  // Writes must prove they come from our own pages, logging in included
+  if (url.startsWith('/api/') && ['POST', 'PUT', 'DELETE'].includes(method) && csrfFails(req)) {
+    return sendJson(res, 403, { error: 'Missing or invalid CSRF token; reload the page and try again' });
+  }
+
+  // Every API route needs a session or an API token, unless it is listed in
+  // PUBLIC_ROUTES; the route itself then checks permissions
+  if (url.startsWith('/api/') && !isPublicRoute(method, url) && !requireAuth(req, res)) return;
+  if (url.startsWith('/api/') && !isPasswordChangeRoute(method, url) && (currentUser(req) || {}).mustChangePassword) {
+    return sendJson(res, 403, { error: 'Change your password first', mustChangePassword: true });
+  }
+
   // ===== Auth & user management endpoints =====
   if (url === '/api/login' && method === 'POST') {
-    return parseBody(req, (err, data) => {
+    return parseBody(req, res, (err, data) => {
       if (err) return sendJson(res, 400, { error: 'Invalid JSON' });
       const { username, password } = data || {};
-      const users = readUsers().users;
-      const u = users.find(x => x.username === username);
-      if (!u || !verifyPassword(password, u.password)) {
-        return sendJson(res, 401, { error: 'Invalid credentials' });
-      }
-      const token = crypto.randomBytes(24).toString('hex');
-      sessions.set(token, { username: u.username, role: u.role });
-      setCookie(res, 'session', token, { httpOnly: true, path: '/', sameSite: 'Lax' });
-      return sendJson(res, 200, { ok: true, user: { username: u.username, role: u.role } });
+      const keys = loginKeys(req, username);
+      const wait = loginWait(keys);
+      if (wait > 0) return sendLoginThrottled(res, wait);
+      // One check per username at a time, so parallel guesses can't slip
+      // past the failure count
+      if (loginsInFlight.has(keys[1])) return sendLoginThrottled(res, LOGIN_BACKOFF_MS);
+      loginsInFlight.add(keys[1]);
+      const u = readUsers().users.find(x => x.username === username);
+      verifyPassword(password, u ? u.password : DUMMY_PASSWORD, guarded(res, (hashErr, matches) => {
+        loginsInFlight.delete(keys[1]);
+        if (hashErr) return sendJson(res, 500, { error: 'Login failed' });
+        if (!u || !matches) {
+          recordLoginFailure(keys);
+          return sendJson(res, 401, { error: 'Invalid credentials' });
+        }
+        loginFailures.delete(keys[1]);
+        startSession(res, u);
+        // A fresh token for the new session
+        return sendJson(res, 200, { ok: true, user: describeUser(u), csrfToken: issueCsrfToken(res) });
+      }));
     });
   }
 
   if (url === '/api/logout' && method === 'POST') {
     const tok = parseCookies(req)['session'];
-    if (tok) sessions.delete(tok);
+    if (tok) sessions.delete(sessionKey(tok));
     setCookie(res, 'session', '', { httpOnly: true, path: '/', maxAge: 0, sameSite: 'Lax' });
     return sendJson(res, 200, { ok: true });
   }
 
   if (url === '/api/me' && method === 'GET') {
-    return sendJson(res, 200, { user: currentUser(req) });
+    return sendJson(res, 200, { user: describeUser(currentUser(req, res)), csrfToken: csrfTokenFor(req, res) });
+  }
+
+  // ===== Own password (any logged-in user) =====
+  // GET /api/password-policy describes what a new password needs;
+  // PUT /api/me/password { currentPassword, newPassword } changes it, which
+  // also completes a forced change. The user's other sessions are logged out.
+  if (url === '/api/password-policy' && method === 'GET') {
+    return sendJson(res, 200, {
+      minLength: PASSWORD_MIN_LENGTH, minClasses: PASSWORD_MIN_CLASSES, description: describePasswordPolicy()
+    });
+  }
+  if (url === '/api/me/password' && method === 'PUT') {
+    const me = requireAuth(req, res);
+    if (!me) return;
+    return parseBody(req, res, (err, body) => {
+      if (err) return sendJson(res, 400, { error: 'Invalid JSON' });
+      const { currentPassword, newPassword } = body || {};
+      const policyError = passwordPolicyError(newPassword, me.username);
+      if (policyError) return sendJson(res, 400, { error: policyError });
+      if (newPassword === currentPassword) return sendJson(res, 400, { error: 'Choose a password different from the current one' });
+      // Wrong current passwords count as failed logins
+      const keys = loginKeys(req, me.username);
+      const wait = loginWait(keys);
+      if (wait > 0) return sendLoginThrottled(res, wait);
+      const u = readUsers().users.find(x => x.username === me.username);
+      if (!u) return sendJson(res, 404, { error: 'Not found' });
+      verifyPassword(currentPassword || '', u.password, guarded(res, (verifyErr, matches) => {
+        if (verifyErr) return sendJson(res, 500, { error: 'Failed to check the password' });
+        if (!matches) {
+          recordLoginFailure(keys);
+          return sendJson(res, 400, { error: 'Current password is incorrect' });
+        }
+        hashPassword(newPassword, guarded(res, (hashErr, hash) => {
+          if (hashErr) return sendJson(res, 500, { error: 'Failed to hash password' });
+          let changed;
+          updateUsers(users => {
+            changed = users.find(x => x.username === me.username);
+            if (!changed) return false;
+            changed.password = hash;
+            delete changed.mustChangePassword;
+            bumpRev(changed);
+          });
+          if (!changed) return sendJson(res, 404, { error: 'Not found' });
+          const tok = parseCookies(req)['session'];
+          const currentKey = tok ? sessionKey(tok) : null;
+          sessions.entries().filter(([, s]) => s.username === me.username).forEach(([key, s]) => {
+            if (key !== currentKey) sessions.delete(key);
+            else if (s.mustChangePassword) sessions.set(key, { ...s, mustChangePassword: false });
+          });
+          appendAudit(me, 'user.password', me.username, null, null);
+          broadcast('user.changed', { username: changed.username, role: changed.role, rev: changed.rev }, { permission: 'users.manage' });
+          return sendJson(res, 200, { ok: true, user: describeUser(changed) });
+        }));
+      }));
+    });
+  }
+
+  // ===== Session management (users.manage) =====
+  // GET /api/sessions?user=name lists active sessions; ids are the hashed session keys
+  if (url === '/api/sessions' && method === 'GET') {
+    if (!requirePermission(req, res, 'users.manage')) return;
+    purgeExpiredSessions();
+    const user = query.get('user');
+    const currentTok = parseCookies(req)['session'];
+    const currentKey = currentTok ? sessionKey(currentTok) : null;
+    const list = sessions.entries()
+      .filter(([, s]) => !user || s.username === user)
+      .map(([key, s]) => ({
+        id: key,
+        username: s.username,
+        role: s.role,
+        createdAt: new Date(s.createdAt).toISOString(),
+        lastSeen: new Date(s.lastSeen).toISOString(),
+        expiresAt: new Date(s.expiresAt).toISOString(),
+        current: key === currentKey
+      }))
+      .sort((a, b) => b.lastSeen.localeCompare(a.lastSeen));
+    return sendJson(res, 200, list);
+  }
+  // DELETE /api/sessions?user=name revokes all of a user's sessions
+  if (url === '/api/sessions' && method === 'DELETE') {
+    if (!requirePermission(req, res, 'users.manage')) return;
+    const user = query.get('user');
+    if (!user) return sendJson(res, 400, { error: 'user is required' });
+    return sendJson(res, 200, { ok: true, revoked: revokeUserSessions(user) });
+  }
+  if (url.startsWith('/api/sessions/') && method === 'DELETE') {
+    if (!requirePermission(req, res, 'users.manage')) return;
+    const id = decodeURIComponent(url.split('/')[3] || '');
+    if (!sessions.get(id)) return sendJson(res, 404, { error: 'Session not found' });
+    sessions.delete(id);
+    return sendJson(res, 200, { ok: true, revoked: 1 });
+  }
+
+  // ===== Login lockouts (users.manage) =====
+  // GET /api/login-lockouts lists usernames and addresses with recent failed
+  // logins; DELETE /api/login-lockouts/:key clears one ("user:name" or "ip:address")
+  if (url === '/api/login-lockouts' && method === 'GET') {
+    if (!requirePermission(req, res, 'users.manage')) return;
+    purgeLoginFailures();
+    const now = Date.now();
+    const list = [...loginFailures.entries()].map(([key, f]) => ({
+      key,
+      kind: key.slice(0, key.indexOf(':')),
+      name: key.slice(key.indexOf(':') + 1),
+      failures: f.failures,
+      lastFailure: new Date(f.lastFailure).toISOString(),
+      blockedUntil: f.blockedUntil > now ? new Date(f.blockedUntil).toISOString() : null
+    })).sort((a, b) => b.lastFailure.localeCompare(a.lastFailure));
+    return sendJson(res, 200, list);
+  }
+  if (url.startsWith('/api/login-lockouts/') && method === 'DELETE') {
+    const me = requirePermission(req, res, 'users.manage');
+    if (!me) return;
+    const key = decodeURIComponent(url.slice('/api/login-lockouts/'.length));
+    const f = loginFailures.get(key);
+    if (!f) return sendJson(res, 404, { error: 'No failed logins recorded for this key' });
+    loginFailures.delete(key);
+    appendAudit(me, 'login.unlock', key, {
+      failures: f.failures, lastFailure: new Date(f.lastFailure).toISOString(), blockedUntil: new Date(f.blockedUntil).toISOString()
+    }, null);
+    return sendJson(res, 200, { ok: true });
   }
 
   if (url === '/api/users' && method === 'GET') {
-    if (!requireAdmin(req, res)) return;
-    const list = readUsers().users.map(u => ({ username: u.username, role: u.role }));
+    if (!requirePermission(req, res, 'users.manage')) return;
+    const list = readUsers().users.map(u => ({
+      username: u.username, role: u.role, mustChangePassword: !!u.mustChangePassword, rev: u.rev || 0
+    }));
     return sendJson(res, 200, list);
   }
 
   if (url === '/api/users' && method === 'POST') {
-    if (!requireAdmin(req, res)) return;
-    return parseBody(req, (err, body) => {
+    if (!requirePermission(req, res, 'users.manage')) return;
+    return parseBody(req, res, (err, body) => {
       if (err) return sendJson(res, 400, { error: 'Invalid JSON' });
       const { username, password, role } = body || {};
       if (!username || !password) return sendJson(res, 400, { error: 'username and password required' });
-      const data = readUsers();
-      if (data.users.find(u => u.username === username)) {
-        return sendJson(res, 409, { error: 'User exists' });
-      }
-      data.users.push({ username, role: role === 'admin' ? 'admin' : 'user', password: hashPassword(password) });
-      writeUsers(data);
-      return sendJson(res, 201, { ok: true });
+      if (role !== undefined && !readRoles()[role]) return sendJson(res, 400, { error: 'Unknown role' });
+      const policyError = passwordPolicyError(password, username);
+      if (policyError) return sendJson(res, 400, { error: policyError });
+      // Hash before taking the lock; pbkdf2 is slow
+      hashPassword(password, guarded(res, (hashErr, hash) => {
+        if (hashErr) return sendJson(res, 500, { error: 'Failed to hash password' });
+        const user = { username, role: role || DEFAULT_USER_ROLE, password: hash, rev: 1 };
+        // Set by the admin handing out a first password
+        if (body.mustChangePassword === true) user.mustChangePassword = true;
+        const added = updateUsers(users => {
+          if (users.find(u => u.username === username)) return false;
+          users.push(user);
+        });
+        if (added === false) return sendJson(res, 409, { error: 'User exists' });
+        broadcast('user.changed', { username, role: user.role, rev: user.rev }, { permission: 'users.manage' });
+        return sendJson(res, 201, { ok: true });
+      }));
     });
   }
 
   if (url.startsWith('/api/users/') && method === 'PUT') {
-    if (!requireAdmin(req, res)) return;
+    if (!requirePermission(req, res, 'users.manage')) return;
     const uname = decodeURIComponent(url.split('/').pop());
-    return parseBody(req, (err, body) => {
+    return parseBody(req, res, (err, body) => {
       if (err) return sendJson(res, 400, { error: 'Invalid JSON' });
-      const data = readUsers();
-      const u = data.users.find(x => x.username === uname);
-      if (!u) return sendJson(res, 404, { error: 'Not found' });
-      if (body.password) u.password = hashPassword(body.password);
-      if (body.role)     u.role     = body.role === 'admin' ? 'admin' : 'user';
-      writeUsers(data);
-      return sendJson(res, 200, { ok: true });
+      if (!body || typeof body !== 'object') return sendJson(res, 400, { error: 'Invalid user format' });
+      if (body.role && !readRoles()[body.role]) return sendJson(res, 400, { error: 'Unknown role' });
+      if (body.password) {
+        const policyError = passwordPolicyError(body.password, uname);
+        if (policyError) return sendJson(res, 400, { error: policyError });
+      }
+      // A new password clears the forced change unless it is asked for again
+      const mustChange = body.password ? body.mustChangePassword === true
+        : typeof body.mustChangePassword === 'boolean' ? body.mustChangePassword : undefined;
+      // Hash before taking the lock; pbkdf2 is slow
+      const hashed = cb => (body.password ? hashPassword(body.password, cb) : cb(null, null));
+      hashed(guarded(res, (hashErr, password) => {
+        if (hashErr) return sendJson(res, 500, { error: 'Failed to hash password' });
+        let u, stale;
+        updateUsers(users => {
+          u = users.find(x => x.username === uname);
+          if (!u) return false;
+          if ((stale = ifMatchFails(req, u))) return false;
+          if (password)  u.password = password;
+          if (body.role) u.role     = body.role;
+          if (mustChange) u.mustChangePassword = true;
+          else if (mustChange === false) delete u.mustChangePassword;
+          bumpRev(u);
+        });
+        if (!u) return sendJson(res, 404, { error: 'Not found' });
+        if (stale) return sendConflict(res, 'User', { username: u.username, role: u.role, rev: u.rev || 0 });
+        // Keep live sessions in step with the new role and password flag
+        if (body.role || mustChange !== undefined) {
+          sessions.entries().filter(([, s]) => s.username === uname)
+            .forEach(([key, s]) => sessions.set(key, { ...s, role: u.role, mustChangePassword: !!u.mustChangePassword }));
+        }
+        broadcast('user.changed', { username: u.username, role: u.role, rev: u.rev }, { permission: 'users.manage' });
+        return sendJson(res, 200, { ok: true }, { ETag: etagOf(u) });
+      }));
     });
   }
 
   if (url.startsWith('/api/users/') && method === 'DELETE') {
-    if (!requireAdmin(req, res)) return;
+    if (!requirePermission(req, res, 'users.manage')) return;
     const uname = decodeURIComponent(url.split('/').pop());
-    const data = readUsers();
-    const idx = data.users.findIndex(x => x.username === uname);
-    if (idx === -1) return sendJson(res, 404, { error: 'Not found' });
-    data.users.splice(idx, 1);
-    writeUsers(data);
+    let u, stale;
+    updateUsers(users => {
+      const idx = users.findIndex(x => x.username === uname);
+      if (idx === -1) return false;
+      u = users[idx];
+      if ((stale = ifMatchFails(req, u))) return false;
+      users.splice(idx, 1);
+    });
+    if (!u) return sendJson(res, 404, { error: 'Not found' });
+    if (stale) return sendConflict(res, 'User', { username: u.username, role: u.role, rev: u.rev || 0 });
+    revokeUserSessions(uname);
+    revokeUserTokens(uname);
+    broadcast('user.deleted', { username: uname }, { permission: 'users.manage' });
     return sendJson(res, 200, { ok: true });
   }
 
+  // ===== Roles (users.manage) =====
+  // GET /api/roles lists { roles: { [role]: [permission] }, permissions: { [permission]: description } };
+  // PUT /api/roles/:role { permissions } creates or changes a role, DELETE removes an unused one
+  if (url === '/api/roles' && method === 'GET') {
+    if (!requirePermission(req, res, 'users.manage')) return;
+    return sendJson(res, 200, { roles: readRoles(), permissions: PERMISSIONS, adminRole: ADMIN_ROLE });
+  }
+  if (url.startsWith('/api/roles/') && (method === 'PUT' || method === 'DELETE')) {
+    const me = requirePermission(req, res, 'users.manage');
+    if (!me) return;
+    const role = decodeURIComponent(url.split('/')[3] || '');
+    if (role === ADMIN_ROLE) return sendJson(res, 400, { error: 'The admin role always has every permission' });
+    if (method === 'DELETE') {
+      if (readUsers().users.some(u => u.role === role)) {
+        return sendJson(res, 409, { error: 'Role is still assigned to users' });
+      }
+      let before;
+      storage.update('roles', DEFAULT_ROLES, roles => {
+        before = roles[role];
+        if (!before) return false;
+        delete roles[role];
+      });
+      if (!before) return sendJson(res, 404, { error: 'Role not found' });
+      appendAudit(me, 'role.delete', role, before, null);
+      return sendJson(res, 200, readRoles());
+    }
+    if (!ROLE_NAME_RE.test(role)) {
+      return sendJson(res, 400, { error: 'Invalid role name, expected lowercase letters, digits, - and _' });
+    }
+    return parseBody(req, res, (err, body) => {
+      if (err) return sendJson(res, 400, { error: 'Invalid JSON' });
+      const invalid = validatePermissions(body && body.permissions);
+      if (invalid) return sendJson(res, 400, { error: invalid });
+      const permissions = Object.keys(PERMISSIONS).filter(p => body.permissions.includes(p));
+      let before;
+      storage.update('roles', DEFAULT_ROLES, roles => {
+        before = roles[role] || null;
+        roles[role] = permissions;
+      });
+      appendAudit(me, 'role.update', role, before, permissions);
+      return sendJson(res, 200, readRoles());
+    });
+  }
+
+  // ===== API tokens (users.manage) =====
+  // GET /api/tokens lists tokens (never the secret); POST { username, name }
+  // returns the new token once; DELETE /api/tokens/:id revokes one
+  if (url === '/api/tokens' && method === 'GET') {
+    if (!requirePermission(req, res, 'users.manage')) return;
+    return sendJson(res, 200, readApiTokens().map(publicToken));
+  }
+  if (url === '/api/tokens' && method === 'POST') {
+    const me = requirePermission(req, res, 'users.manage');
+    if (!me) return;
+    return parseBody(req, res, (err, body) => {
+      if (err) return sendJson(res, 400, { error: 'Invalid JSON' });
+      const { username, name } = body || {};
+      if (!readUsers().users.some(u => u.username === username)) return sendJson(res, 400, { error: 'Unknown user' });
+      if (typeof name !== 'string' || !name.trim()) return sendJson(res, 400, { error: 'Token name is required' });
+      const created = createApiToken(username, name.trim().slice(0, 100));
+      appendAudit(me, 'token.create', created.id, null, publicToken(created));
+      return sendJson(res, 201, created);
+    });
+  }
+  if (url.startsWith('/api/tokens/') && method === 'DELETE') {
+    const me = requirePermission(req, res, 'users.manage');
+    if (!me) return;
+    const id = decodeURIComponent(url.split('/')[3] || '');
+    let removed;
+    storage.update('api-tokens', [], tokens => {
+      const index = tokens.findIndex(t => t.id === id);
+      if (index === -1) return false;
+      removed = tokens.splice(index, 1)[0];
+    });
+    if (!removed) return sendJson(res, 404, { error: 'Token not found' });
+    appendAudit(me, 'token.revoke', id, publicToken(removed), null);
+    return sendJson(res, 200, { ok: true });
+  }
+
+  // ===== Live updates =====
+  if (url === '/api/events' && method === 'GET') {
+    if (!requirePermission(req, res, 'orders.read')) return;
+    return openEventStream(req, res);
+  }
+
+  // ===== Customers API =====
+  if (url === '/api/customers' && method === 'GET') {
+    if (!requirePermission(req, res, 'customers.read')) return;
+    return sendJson(res, 200, readCustomers());
+  }
+  if (url === '/api/customers' && method === 'POST') {
+    if (!requirePermission(req, res, 'customers.write')) return;
+    return parseBody(req, res, (err, body) => {
+      if (err) return sendJson(res, 400, { error: 'Invalid JSON' });
+      let invalid, customer;
+      storage.update('customers', [], customers => {
+        invalid = validateCustomer(body, customers, null);
+        if (invalid) return false;
+        customer = { id: newId(), name: body.name.trim() };
+        CUSTOMER_FIELDS.forEach(f => { customer[f] = (body[f] || '').trim(); });
+        customers.push(customer);
+      });
+      if (invalid) return sendJson(res, 400, { error: invalid });
+      return sendJson(res, 201, customer);
+    });
+  }
+  if (url.startsWith('/api/customers/') && method === 'PUT') {
+    if (!requirePermission(req, res, 'customers.write')) return;
+    const id = decodeURIComponent(url.split('/')[3] || '');
+    return parseBody(req, res, (err, body) => {
+      if (err) return sendJson(res, 400, { error: 'Invalid JSON' });
+      if (!body || typeof body !== 'object') return sendJson(res, 400, { error: 'Invalid customer format' });
+      let invalid, customer;
+      storage.update('customers', [], customers => {
+        customer = customers.find(c => c.id === id);
+        if (!customer) return false;
+        invalid = validateCustomer({ ...customer, ...body }, customers, id);
+        if (invalid) return false;
+        if (body.name !== undefined) customer.name = body.name.trim();
+        CUSTOMER_FIELDS.forEach(f => { if (body[f] !== undefined) customer[f] = body[f].trim(); });
+      });
+      if (!customer) return sendJson(res, 404, { error: 'Customer not found' });
+      if (invalid) return sendJson(res, 400, { error: invalid });
+      return sendJson(res, 200, customer);
+    });
+  }
+  if (url.startsWith('/api/customers/') && method === 'DELETE') {
+    if (!requirePermission(req, res, 'customers.write')) return;
+    const id = decodeURIComponent(url.split('/')[3] || '');
+    let found = false, conflict = null;
+    storage.update('customers', [], customers => {
+      const idx = customers.findIndex(c => c.id === id);
+      if (idx === -1) return false;
+      found = true;
+      // Keep order history readable: customers with orders, live or in a
+      // closed day, cannot be removed
+      const archived = Object.values(readClosedDays()).some(day => day.orders.some(o => o.customerId === id));
+      if (archived || storage.read('orders', []).some(o => o.customerId === id)) {
+        conflict = 'Customer has orders and cannot be deleted';
+        return false;
+      }
+      // ...and templates would keep ordering for a customer that is gone
+      if (storage.read('standing-orders', []).some(t => t.customerId === id)) {
+        conflict = 'Customer has standing orders; delete those first';
+        return false;
+      }
+      customers.splice(idx, 1);
+    });
+    if (!found) return sendJson(res, 404, { error: 'Customer not found' });
+    if (conflict) return sendJson(res, 409, { error: conflict });
+    return sendJson(res, 200, { ok: true });
+  }
+
+  // ===== Audit API =====
+  if (url === '/api/audit' && method === 'GET') {
+    if (!requirePermission(req, res, 'audit.read')) return;
+    for (const k of ['from', 'to']) {
+      if (query.get(k) && !isValidDate(query.get(k))) {
+        return sendJson(res, 400, { error: `Invalid ${k}, expected YYYY-MM-DD` });
+      }
+    }
+    return sendJson(res, 200, filterAudit(readAudit(), query));
+  }
+
+  // ===== Summary API =====
+  // GET /api/summary?date=YYYY-MM-DD&format=json|csv|html|txt
+  if (url === '/api/summary' && method === 'GET') {
+    if (!requirePermission(req, res, 'reports.read')) return;
+    const date = query.get('date') || todayStr();
+    if (!isValidDate(date)) return sendJson(res, 400, { error: 'Invalid date, expected YYYY-MM-DD' });
+    const format = query.get('format') || 'json';
+    const summary = buildSummary(date);
+    if (format === 'json') return sendJson(res, 200, summary);
+    if (format === 'csv') return sendDocument(res, 'text/csv', renderSummaryCsv(summary), `bread-summary-${date}.csv`);
+    if (format === 'txt') return sendDocument(res, 'text/plain', renderSummaryText(summary), `bread-summary-${date}.txt`);
+    if (format === 'html') return sendDocument(res, 'text/html', renderSummaryHtml(summary));
+    return sendJson(res, 400, { error: 'Unknown format, expected json, csv, html or txt' });
+  }
+
+  // ===== Production report API =====
+  // GET /api/production?date=YYYY-MM-DD&batchSize=N&format=json|csv|html
+  if (url === '/api/production' && method === 'GET') {
+    if (!requirePermission(req, res, 'reports.read')) return;
+    const date = query.get('date') || todayStr();
+    if (!isValidDate(date)) return sendJson(res, 400, { error: 'Invalid date, expected YYYY-MM-DD' });
+    const batchSize = query.get('batchSize') ? Number(query.get('batchSize')) : OVEN_BATCH_SIZE;
+    if (!Number.isInteger(batchSize) || batchSize < 1) {
+      return sendJson(res, 400, { error: 'Invalid batchSize, expected a whole number of pieces above 0' });
+    }
+    const format = query.get('format') || 'json';
+    const report = buildProduction(date, batchSize);
+    if (format === 'json') return sendJson(res, 200, report);
+    if (format === 'csv') return sendDocument(res, 'text/csv', renderProductionCsv(report), `bread-production-${date}.csv`);
+    if (format === 'html') return sendDocument(res, 'text/html', renderProductionHtml(report));
+    return sendJson(res, 400, { error: 'Unknown format, expected json, csv or html' });
+  }
+
   // ===== Orders API =====
   if (url === '/api/orders' && method === 'GET') {
-    return sendJson(res, 200, safeReadJSON(ordersFile, []));
+    if (!requirePermission(req, res, 'orders.read')) return;
+    const date = query.get('date') || todayStr();
+    if (!isValidDate(date)) return sendJson(res, 400, { error: 'Invalid date, expected YYYY-MM-DD' });
+    return sendJson(res, 200, ordersForDate(storage.read('orders', []), date));
   }
   if (url === '/api/orders' && method === 'POST') {
-    if (!requireAuth(req, res)) return;
-    return parseBody(req, (err, body) => {
+    const me = requirePermission(req, res, 'orders.write');
+    if (!me) return;
+    return parseBody(req, res, (err, body) => {
       if (err) return sendJson(res, 400, { error: 'Invalid JSON' });
       if (!body || typeof body.item !== 'string' || typeof body.qty !== 'number') {
         return sendJson(res, 400, { error: 'Invalid order format' });
       }
-      const orders = safeReadJSON(ordersFile, []);
-      orders.push({ item: body.item, qty: body.qty });
-      safeWriteJSON(ordersFile, orders);
-      return sendJson(res, 201, orders);
+      const date = body.date || todayStr();
+      if (!isValidDate(date)) return sendJson(res, 400, { error: 'Invalid date, expected YYYY-MM-DD' });
+      if (isClosedDay(date)) return sendJson(res, 409, { error: `${date} is closed` });
+      if (!readCustomers().some(c => c.id === body.customerId)) {
+        return sendJson(res, 400, { error: 'Unknown customer' });
+      }
+      // Same checks as a batch line; offline clients pick the id themselves,
+      // so a replayed create is a no-op
+      const items = readItems();
+      const [invalid] = validateOrderLines([{ id: body.id, item: body.item, qty: body.qty }], items);
+      if (invalid) return sendJson(res, 400, { error: invalid.error });
+      const { unitPrice, currency } = priceFor(items.find(i => i.name === body.item), body.customerId);
+      const order = {
+        id: body.id || newId(), date, customerId: body.customerId, item: body.item, qty: body.qty,
+        unitPrice, currency, createdBy: me.username, rev: 1
+      };
+      const overrideReason = overrideReasonOf(me, query);
+      let book, existing, refused;
+      storage.update('orders', [], orders => {
+        existing = orders.find(o => o.id === order.id);
+        if (existing) {
+          book = ordersForDate(orders, existing.date);
+          return false;
+        }
+        if ((refused = cutoffRefusal(me, date, order.customerId, overrideReason))) return false;
+        orders.push(order);
+        book = ordersForDate(orders, date);
+      });
+      if (existing) return sendJson(res, 200, book, { ETag: etagOf(existing) });
+      if (refused) return sendJson(res, 409, refused);
+      appendAudit(me, 'order.create', order.id, null, order, overrideReason);
+      broadcast('order.created', { order });
+      return sendJson(res, 201, book, { ETag: etagOf(order) });
     });
   }
+  // Batch entry: { customerId, date?, lines: [{ id?, item, qty }] }, all lines or none
+  if (url === '/api/orders/batch' && method === 'POST') {
+    const me = requirePermission(req, res, 'orders.write');
+    if (!me) return;
+    return parseBody(req, res, (err, body) => {
+      if (err) return sendJson(res, 400, { error: 'Invalid JSON' });
+      if (!body || !Array.isArray(body.lines) || !body.lines.length) {
+        return sendJson(res, 400, { error: 'Invalid batch format, expected lines' });
+      }
+      const date = body.date || todayStr();
+      if (!isValidDate(date)) return sendJson(res, 400, { error: 'Invalid date, expected YYYY-MM-DD' });
+      if (isClosedDay(date)) return sendJson(res, 409, { error: `${date} is closed` });
+      if (!readCustomers().some(c => c.id === body.customerId)) {
+        return sendJson(res, 400, { error: 'Unknown customer' });
+      }
+      const items = readItems();
+      const lineErrors = validateOrderLines(body.lines, items);
+      if (lineErrors.length) return sendJson(res, 400, { error: 'Some lines are invalid', lines: lineErrors });
+      const created = body.lines.map(line => ({
+        id: line.id || newId(), date, customerId: body.customerId, item: line.item, qty: line.qty,
+        ...priceFor(items.find(i => i.name === line.item), body.customerId), createdBy: me.username, rev: 1
+      }));
+      const overrideReason = overrideReasonOf(me, query);
+      let added, book, refused;
+      storage.update('orders', [], orders => {
+        // Lines already stored by an earlier attempt of this batch are skipped
+        added = created.filter(order => !orders.some(o => o.id === order.id));
+        if (!added.length) return false;
+        if ((refused = cutoffRefusal(me, date, body.customerId, overrideReason))) return false;
+        orders.push(...added);
+        book = ordersForDate(orders, date);
+      });
+      if (!added.length) return sendJson(res, 200, ordersForDate(storage.read('orders', []), date));
+      if (refused) return sendJson(res, 409, refused);
+      added.forEach(order => {
+        appendAudit(me, 'order.create', order.id, null, order, overrideReason);
+        broadcast('order.created', { order });
+      });
+      return sendJson(res, 201, book);
+    });
+  }
+  // Users with orders.write may only change orders they entered; orders.write.any changes any
   if (url.startsWith('/api/orders/') && (method === 'PUT' || method === 'DELETE')) {
-    if (!requireAuth(req, res)) return;
-    const index = parseInt(url.split('/')[3], 10);
-    const orders = safeReadJSON(ordersFile, []);
-    if (!Number.isFinite(index) || index < 0 || index >= orders.length) {
+    const me = requirePermission(req, res, 'orders.write');
+    if (!me) return;
+    const id = decodeURIComponent(url.split('/')[3] || '');
+    if (!id || !storage.read('orders', []).some(o => o.id === id)) {
       return sendJson(res, 404, { error: 'Order not found' });
     }
+    const overrideReason = overrideReasonOf(me, query);
     if (method === 'DELETE') {
-      orders.splice(index, 1);
-      safeWriteJSON(ordersFile, orders);
+      let removed, stale, refused, forbidden;
+      storage.update('orders', [], orders => {
+        const index = orders.findIndex(o => o.id === id);
+        if (index === -1) return false;
+        removed = orders[index];
+        if ((forbidden = !canChange(me, removed))) return false;
+        if ((stale = ifMatchFails(req, removed))) return false;
+        if ((refused = cutoffRefusal(me, removed.date, removed.customerId, overrideReason))) return false;
+        orders.splice(index, 1);
+      });
+      if (!removed) return sendJson(res, 404, { error: 'Order not found' });
+      if (forbidden) return sendJson(res, 403, { error: 'You can only delete orders you entered' });
+      if (stale) return sendConflict(res, 'Order', removed);
+      if (refused) return sendJson(res, 409, refused);
+      appendAudit(me, 'order.delete', id, removed, null, overrideReason);
+      broadcast('order.deleted', { id, date: removed.date });
       return sendJson(res, 200, { ok: true });
     }
-    // PUT: update order
-    return parseBody(req, (err, body) => {
+    // PUT: update order (under the lock, so a concurrent write isn't clobbered)
+    return parseBody(req, res, (err, body) => {
       if (err) return sendJson(res, 400, { error: 'Invalid JSON' });
       if (!body || typeof body.item !== 'string' || typeof body.qty !== 'number') {
         return sendJson(res, 400, { error: 'Invalid order format' });
       }
-      orders[index] = { item: body.item, qty: body.qty };
-      safeWriteJSON(ordersFile, orders);
-      return sendJson(res, 200, orders);
+      if (body.date !== undefined && !isValidDate(body.date)) {
+        return sendJson(res, 400, { error: 'Invalid date, expected YYYY-MM-DD' });
+      }
+      if (body.date && isClosedDay(body.date)) return sendJson(res, 409, { error: `${body.date} is closed` });
+      if (body.customerId !== undefined && !readCustomers().some(c => c.id === body.customerId)) {
+        return sendJson(res, 400, { error: 'Unknown customer' });
+      }
+      let order, before, invalid, stale, refused, forbidden;
+      const book = storage.update('orders', [], current => {
+        order = current.find(o => o.id === id);
+        if (!order) return false;
+        if ((forbidden = !canChange(me, order))) return false;
+        if ((stale = ifMatchFails(req, order))) return false;
+        // Both the book the order leaves and the one it moves to must still be open
+        refused = cutoffRefusal(me, order.date, order.customerId, overrideReason) ||
+          cutoffRefusal(me, body.date || order.date, body.customerId || order.customerId, overrideReason);
+        if (refused) return false;
+        // Existing lines for an archived item may still be edited, but not switched to one
+        const items = readItems().map(i => (i.name === order.item ? { ...i, archived: false } : i));
+        if ((invalid = validateOrderLines([{ item: body.item, qty: body.qty }], items)[0])) return false;
+        // Respond with the book the order was in, so a moved order drops out of view
+        const bookDate = order.date;
+        before = { ...order };
+        // Keep the price captured at entry unless the item or customer changes
+        const repriced = order.unitPrice === undefined || body.item !== order.item ||
+          (body.customerId && body.customerId !== order.customerId);
+        order.item = body.item;
+        order.qty = body.qty;
+        if (body.date) order.date = body.date;
+        if (body.customerId) order.customerId = body.customerId;
+        if (repriced) Object.assign(order, priceFor(readItems().find(i => i.name === order.item), order.customerId));
+        bumpRev(order);
+        return ordersForDate(current, bookDate);
+      });
+      if (!order) return sendJson(res, 404, { error: 'Order not found' });
+      if (forbidden) return sendJson(res, 403, { error: 'You can only change orders you entered' });
+      if (stale) return sendConflict(res, 'Order', order);
+      if (refused) return sendJson(res, 409, refused);
+      if (invalid) return sendJson(res, 400, { error: invalid.error });
+      appendAudit(me, 'order.update', id, before, { ...order }, overrideReason);
+      broadcast('order.updated', { order, previousDate: before.date });
+      return sendJson(res, 200, book, { ETag: etagOf(order) });
+    });
+  }
+
+  // ===== Closing a day =====
+  // Needs days.close, in two steps: POST /api/days/:date/close-request returns a
+  // confirm token for the book as it is now; POST /api/days/:date/close
+  // { confirmToken } archives the book and clears it from the live orders,
+  // provided nothing changed in between.
+  const dayRoute = /^\/api\/days\/([^/]+)(?:\/(close-request|close))?$/.exec(url);
+  if (dayRoute) {
+    const date = decodeURIComponent(dayRoute[1]);
+    if (!isValidDate(date)) return sendJson(res, 400, { error: 'Invalid date, expected YYYY-MM-DD' });
+    if (!dayRoute[2] && method === 'GET') {
+      if (!requirePermission(req, res, 'orders.read')) return;
+      const closed = readClosedDays()[date];
+      return sendJson(res, 200, closed ? { date, closed: true, ...closed } : { date, closed: false, orders: [] });
+    }
+    if (dayRoute[2] === 'close-request' && method === 'POST') {
+      const me = requirePermission(req, res, 'days.close');
+      if (!me) return;
+      return sendJson(res, 200, issueCloseToken(date, me));
+    }
+    if (dayRoute[2] === 'close' && method === 'POST') {
+      const me = requirePermission(req, res, 'days.close');
+      if (!me) return;
+      return parseBody(req, res, (err, body) => {
+        if (err) return sendJson(res, 400, { error: 'Invalid JSON' });
+        const result = closeDay(date, me, body && body.confirmToken);
+        if (result.error) return sendJson(res, result.status, { error: result.error });
+        appendAudit(me, 'day.close', date, null, { orders: result.archived });
+        broadcast('orders.changed', {});
+        return sendJson(res, 200, { date, archived: result.archived });
+      });
+    }
+  }
+
+  // ===== Standing orders API =====
+  // GET/POST /api/standing-orders, PUT/DELETE /api/standing-orders/:id,
+  // GET /api/standing-orders/:id/occurrences?from&days,
+  // PUT/DELETE /api/standing-orders/:id/occurrences/:date ({ skip } or { lines })
+  if (url === '/api/standing-orders' && method === 'GET') {
+    if (!requirePermission(req, res, 'orders.read')) return;
+    return sendJson(res, 200, readStandingOrders());
+  }
+  if (url === '/api/standing-orders' && method === 'POST') {
+    const me = requirePermission(req, res, 'orders.write');
+    if (!me) return;
+    return parseBody(req, res, (err, body) => {
+      if (err) return sendJson(res, 400, { error: 'Invalid JSON' });
+      if (!body || typeof body !== 'object') return sendJson(res, 400, { error: 'Invalid standing order format' });
+      const invalid = validateStandingOrder(body, readItems());
+      if (invalid) return sendJson(res, 400, { error: invalid });
+      const template = {
+        id: newId(), customerId: body.customerId, weekdays: [...new Set(body.weekdays)].sort(),
+        lines: body.lines.map(l => ({ item: l.item, qty: l.qty })),
+        startDate: body.startDate, endDate: body.endDate || null,
+        exceptions: {}, lastMaterialized: null, createdBy: me.username, rev: 1
+      };
+      skipLockedDays(template);
+      storage.update('standing-orders', [], templates => { templates.push(template); });
+      appendAudit(me, 'standing.create', template.id, null, template);
+      materializeStandingOrders();
+      const created = readStandingOrders().find(t => t.id === template.id) || template;
+      return sendJson(res, 201, created, { ETag: etagOf(created) });
+    });
+  }
+  const standingRoute = /^\/api\/standing-orders\/([^/]+)(?:\/occurrences(?:\/([^/]+))?)?$/.exec(url);
+  if (standingRoute && url.includes('/occurrences')) {
+    const id = decodeURIComponent(standingRoute[1]);
+    const date = standingRoute[2] && decodeURIComponent(standingRoute[2]);
+    if (!date && method === 'GET') {
+      if (!requirePermission(req, res, 'orders.read')) return;
+      const template = readStandingOrders().find(t => t.id === id);
+      if (!template) return sendJson(res, 404, { error: 'Standing order not found' });
+      const from = query.get('from') || todayStr();
+      if (!isValidDate(from)) return sendJson(res, 400, { error: 'Invalid from, expected YYYY-MM-DD' });
+      const days = Math.min(parseInt(query.get('days'), 10) || 14, 90);
+      return sendJson(res, 200, listOccurrences(template, from, days));
+    }
+    if (date && (method === 'PUT' || method === 'DELETE')) {
+      const me = requirePermission(req, res, 'orders.write');
+      if (!me) return;
+      if (!isValidDate(date)) return sendJson(res, 400, { error: 'Invalid date, expected YYYY-MM-DD' });
+      return parseBody(req, res, (err, body) => {
+        if (err) return sendJson(res, 400, { error: 'Invalid JSON' });
+        let exception = null;
+        if (method === 'PUT') {
+          if (body && body.skip === true) exception = { skip: true };
+          else if (body && Array.isArray(body.lines) && body.lines.length) {
+            const lineErrors = validateOrderLines(body.lines.map(l => ({ item: l && l.item, qty: l && l.qty })), readItems());
+            if (lineErrors.length) return sendJson(res, 400, { error: `Line ${lineErrors[0].index + 1}: ${lineErrors[0].error}` });
+            exception = { lines: body.lines.map(l => ({ item: l.item, qty: l.qty })) };
+          } else {
+            return sendJson(res, 400, { error: 'Expected { skip: true } or { lines }' });
+          }
+        }
+        // A day locked since the last run is in the order book before it can be adjusted
+        materializeStandingOrders();
+        let template, status = 200, before;
+        storage.update('standing-orders', [], templates => {
+          template = templates.find(t => t.id === id);
+          if (!template) { status = 404; return false; }
+          if (!canChange(me, template)) { status = 403; return false; }
+          if (!template.weekdays.includes(weekdayOf(date)) || date < template.startDate ||
+              (template.endDate && date > template.endDate)) { status = 400; return false; }
+          if (template.lastMaterialized && date <= template.lastMaterialized) { status = 409; return false; }
+          template.exceptions = template.exceptions || {};
+          before = template.exceptions[date] || null;
+          if (exception) template.exceptions[date] = exception;
+          else delete template.exceptions[date];
+          bumpRev(template);
+        });
+        if (status === 404) return sendJson(res, 404, { error: 'Standing order not found' });
+        if (status === 403) return sendJson(res, 403, { error: 'You can only change standing orders you entered' });
+        if (status === 400) return sendJson(res, 400, { error: 'The standing order has no occurrence on that date' });
+        if (status === 409) {
+          return sendJson(res, 409, { error: 'That day is already in the order book; edit its orders instead' });
+        }
+        appendAudit(me, 'standing.occurrence', `${id}/${date}`, before, exception);
+        return sendJson(res, 200, listOccurrences(template, date, 1)[0], { ETag: etagOf(template) });
+      });
+    }
+  }
+  if (standingRoute && !url.includes('/occurrences') && (method === 'PUT' || method === 'DELETE')) {
+    const me = requirePermission(req, res, 'orders.write');
+    if (!me) return;
+    const id = decodeURIComponent(standingRoute[1]);
+    return parseBody(req, res, (err, body) => {
+      if (err) return sendJson(res, 400, { error: 'Invalid JSON' });
+      if (method === 'PUT' && (!body || typeof body !== 'object')) {
+        return sendJson(res, 400, { error: 'Invalid standing order format' });
+      }
+      // Days locked since the last run get the template as it was before this edit
+      materializeStandingOrders();
+      let template, before, invalid, stale, forbidden;
+      storage.update('standing-orders', [], templates => {
+        const index = templates.findIndex(t => t.id === id);
+        if (index === -1) return false;
+        template = templates[index];
+        if ((forbidden = !canChange(me, template))) return false;
+        if ((stale = ifMatchFails(req, template))) return false;
+        before = { ...template };
+        if (method === 'DELETE') {
+          templates.splice(index, 1);
+          return;
+        }
+        // Omitted fields are kept; edits apply to occurrences not yet in the order book
+        const next = { ...template, ...body };
+        invalid = validateStandingOrder(next, readItems());
+        if (invalid) return false;
+        template.customerId = next.customerId;
+        template.weekdays = [...new Set(next.weekdays)].sort();
+        template.lines = next.lines.map(l => ({ item: l.item, qty: l.qty }));
+        template.startDate = next.startDate;
+        template.endDate = next.endDate || null;
+        skipLockedDays(template);
+        bumpRev(template);
+      });
+      if (!template) return sendJson(res, 404, { error: 'Standing order not found' });
+      if (forbidden) return sendJson(res, 403, { error: 'You can only change standing orders you entered' });
+      if (stale) return sendConflict(res, 'Standing order', template);
+      if (invalid) return sendJson(res, 400, { error: invalid });
+      if (method === 'DELETE') {
+        appendAudit(me, 'standing.delete', id, before, null);
+        return sendJson(res, 200, { ok: true });
+      }
+      appendAudit(me, 'standing.update', id, before, template);
+      materializeStandingOrders();
+      return sendJson(res, 200, template, { ETag: etagOf(template) });
     });
   }
 
   // ===== Items API =====
   if (url === '/api/items' && method === 'GET') {
-    return sendJson(res, 200, safeReadJSON(itemsFile, []));
+    if (!requirePermission(req, res, 'orders.read')) return;
+    return sendJson(res, 200, readItems());
   }
   if (url === '/api/items' && method === 'POST') {
-    if (!requireAdmin(req, res)) return;
-    return parseBody(req, (err, body) => {
+    if (!requirePermission(req, res, 'items.write')) return;
+    return parseBody(req, res, (err, body) => {
       if (err) return sendJson(res, 400, { error: 'Invalid JSON' });
-      if (!body || typeof body.name !== 'string') {
+      // POST: { name } or { family, weight?, variant? }, plus optional sku and pricing
+      if (!body || typeof body !== 'object') {
         return sendJson(res, 400, { error: 'Invalid item format' });
       }
-      const items = safeReadJSON(itemsFile, []);
-      const trimmed = body.name.trim();
-      if (!trimmed || items.includes(trimmed)) {
-        return sendJson(res, 400, { error: 'Item name invalid or already exists' });
-      }
-      items.push(trimmed);
-      safeWriteJSON(itemsFile, items);
+      const resolved = resolveItemAttributes(body, null);
+      if (resolved.error) return sendJson(res, 400, { error: resolved.error });
+      const invalid = validateItemPricing(body);
+      if (invalid) return sendJson(res, 400, { error: invalid });
+      const name = displayName(resolved.attrs);
+      let error;
+      const items = storage.update('items', [], items => {
+        const existing = items.find(i => i.name === name);
+        if (existing && existing.archived) error = 'Item already exists in the archive; restore it instead';
+        else if (existing) error = 'Item name invalid or already exists';
+        if (error) return false;
+        const sku = body.sku ? body.sku.trim().toUpperCase() : skuFor(resolved.attrs, items);
+        if (items.some(i => i.sku === sku)) {
+          error = 'SKU already exists';
+          return false;
+        }
+        const item = { ...newItem(name), ...resolved.attrs, sku };
+        applyItemPricing(item, body);
+        items.push(item);
+        return items;
+      });
+      if (error) return sendJson(res, 400, { error });
+      broadcast('items.changed', { items });
       return sendJson(res, 201, items);
     });
   }
   if (url.startsWith('/api/items/') && method === 'PUT') {
-    if (!requireAdmin(req, res)) return;
+    const me = requirePermission(req, res, 'items.write');
+    if (!me) return;
     const index = parseInt(url.split('/')[3], 10);
-    const items = safeReadJSON(itemsFile, []);
-    if (!Number.isFinite(index) || index < 0 || index >= items.length) {
+    const inRange = items => Number.isFinite(index) && index >= 0 && index < items.length;
+    if (!inRange(readItems())) {
       return sendJson(res, 404, { error: 'Item not found' });
     }
-    return parseBody(req, (err, body) => {
+    // PUT: { name?, family?, weight?, variant?, sku?, price?, currency?, customerPrices?, archived? }
+    // Omitted fields are kept; the name is re-derived from the attributes.
+    return parseBody(req, res, (err, body) => {
       if (err) return sendJson(res, 400, { error: 'Invalid JSON' });
-      if (!body || typeof body.name !== 'string') {
+      if (!body || typeof body !== 'object' || (body.archived !== undefined && typeof body.archived !== 'boolean')) {
         return sendJson(res, 400, { error: 'Invalid item format' });
       }
-      const trimmed = body.name.trim();
-      if (!trimmed) return sendJson(res, 400, { error: 'Name cannot be empty' });
-      const oldName = items[index];
-      if (trimmed !== oldName && items.includes(trimmed)) {
-        return sendJson(res, 400, { error: 'Name already exists' });
+      const invalid = validateItemPricing(body);
+      if (invalid) return sendJson(res, 400, { error: invalid });
+      let error, stale, oldName, trimmed, wasArchived;
+      const items = storage.update('items', [], items => {
+        if (!inRange(items)) {
+          error = 'Item not found';
+          return false;
+        }
+        if (ifMatchFails(req, items[index])) {
+          stale = items[index];
+          return false;
+        }
+        const resolved = resolveItemAttributes(body, items[index]);
+        if (resolved.error) {
+          error = resolved.error;
+          return false;
+        }
+        oldName = items[index].name;
+        trimmed = displayName(resolved.attrs);
+        if (trimmed !== oldName && items.some(i => i.name === trimmed)) {
+          error = 'Name already exists';
+          return false;
+        }
+        const sku = body.sku !== undefined && body.sku.trim() ? body.sku.trim().toUpperCase() : items[index].sku;
+        if (items.some((i, n) => n !== index && i.sku === sku)) {
+          error = 'SKU already exists';
+          return false;
+        }
+        wasArchived = !!items[index].archived;
+        Object.assign(items[index], resolved.attrs, { name: trimmed, sku });
+        applyItemPricing(items[index], body);
+        if (body.archived !== undefined) items[index].archived = body.archived;
+        bumpRev(items[index]);
+        return items;
+      });
+      if (error === 'Item not found') return sendJson(res, 404, { error });
+      if (stale) return sendConflict(res, 'Item', stale);
+      if (error) return sendJson(res, 400, { error });
+      if (wasArchived !== !!items[index].archived) {
+        appendAudit(me, items[index].archived ? 'item.archive' : 'item.restore', String(index),
+          { name: oldName, archived: wasArchived }, { name: trimmed, archived: !!items[index].archived });
       }
-      items[index] = trimmed;
-      safeWriteJSON(itemsFile, items);
       // Update orders that referenced the old item name
       if (trimmed !== oldName) {
-        const orders = safeReadJSON(ordersFile, []);
-        const updated = orders.map(o => o.item === oldName ? { item: trimmed, qty: o.qty } : o);
-        safeWriteJSON(ordersFile, updated);
+        const affected = storage.update('orders', [], orders => {
+          const hits = orders.filter(o => o.item === oldName);
+          if (!hits.length) return false;
+          hits.forEach(o => { o.item = trimmed; bumpRev(o); });
+          return hits.map(o => o.id);
+        }) || [];
+        // Standing orders too, or they would skip the item from now on
+        const renameLines = lines => (lines || []).forEach(l => { if (l.item === oldName) l.item = trimmed; });
+        const templates = storage.update('standing-orders', [], list => {
+          const hits = list.filter(t => t.lines.some(l => l.item === oldName) ||
+            Object.values(t.exceptions || {}).some(e => (e.lines || []).some(l => l.item === oldName)));
+          if (!hits.length) return false;
+          hits.forEach(t => {
+            renameLines(t.lines);
+            Object.values(t.exceptions || {}).forEach(e => renameLines(e.lines));
+            bumpRev(t);
+          });
+          return hits.map(t => t.id);
+        }) || [];
+        appendAudit(me, 'item.rename', String(index), { name: oldName },
+          { name: trimmed, orders: affected, standingOrders: templates });
+        if (affected.length) broadcast('orders.changed', {});
       }
-      return sendJson(res, 200, items);
+      broadcast('items.changed', { items });
+      return sendJson(res, 200, items, { ETag: etagOf(items[index]) });
     });
   }
+  // DELETE archives the item: it leaves the order form but old orders keep their name
+  if (url.startsWith('/api/items/') && method === 'DELETE') {
+    const me = requirePermission(req, res, 'items.write');
+    if (!me) return;
+    const index = parseInt(url.split('/')[3], 10);
+    let items, found = false, stale = false, archived = false;
+    storage.update('items', [], current => {
+      items = current;
+      found = Number.isFinite(index) && index >= 0 && index < items.length;
+      if (!found || (stale = ifMatchFails(req, items[index])) || items[index].archived) return false;
+      items[index].archived = archived = true;
+      bumpRev(items[index]);
+    });
+    if (!found) return sendJson(res, 404, { error: 'Item not found' });
+    if (stale) return sendConflict(res, 'Item', items[index]);
+    if (archived) {
+      appendAudit(me, 'item.archive', String(index), { name: items[index].name, archived: false }, { name: items[index].name, archived: true });
+      broadcast('items.changed', { items });
+    }
+    return sendJson(res, 200, items, { ETag: etagOf(items[index]) });
+  }
+
+  // ===== Service worker and its precache manifest =====
+  if (url === '/asset-manifest.json' && method === 'GET') {
+    return sendJson(res, 200, assetManifest);
+  }
+  if (url === '/service-worker.js' && method === 'GET') {
+    return serveServiceWorker(res);
+  }
 
   // ===== Static files with auth gates =====
   if (method === 'GET') {
     let reqPath = url === '/' ? '/index.html' : url;
     const ext = path.extname(reqPath).toLowerCase();
     const isHTML = ext === '.html' || reqPath === '/';
-    const me = currentUser(req);
+    const me = currentUser(req, res);
 
     if (isHTML) {
       if (reqPath === '/login.html' && me) {
         return redirect(res, '/');
       }
-      if (reqPath === '/users.html') {
+      if (PAGE_PERMISSIONS[reqPath]) {
         if (!me) return redirect(res, '/login.html');
-        if (me.role !== 'admin') return redirect(res, '/');
+        if (!can(me, PAGE_PERMISSIONS[reqPath])) return redirect(res, '/');
       }
       if (reqPath !== '/login.html' && !me) {
         return redirect(res, '/login.html');
       }
+      if (me && me.mustChangePassword && reqPath !== '/change-password.html') {
+        return redirect(res, '/change-password.html');
+      }
     }
 
     let filePath = path.join(BASE_DIR, reqPath.replace(/^\//, ''));
+    const relPath = path.relative(BASE_DIR, filePath);
+    // Nothing outside BASE_DIR is served, however many ../ the path holds
+    const outside = relPath === '..' || relPath.startsWith('..' + path.sep) || path.isAbsolute(relPath);
+    if (outside || PRIVATE_FILES.has(relPath) || PRIVATE_FILE_SUFFIX.test(relPath)) {
+      res.writeHead(404);
+      res.end('Not Found');
+      return;
+    }
     if (!fs.existsSync(filePath) || fs.statSync(filePath).isDirectory()) {
       filePath = path.join(BASE_DIR, 'index.html');
     }
@@ -402,8 +2427,17 @@ const server = http.createServer((req, res) => {
   // Fallback
   res.writeHead(404);
   res.end('Not Found');
+}
+
+const server = http.createServer((req, res) => {
+  try {
+    handleRequest(req, res);
+  } catch (e) {
+    sendServerError(res, e);
+  }
 });
 
 server.listen(PORT, () => {
   console.log(`Bread Order App server is running at http://localhost:${PORT}`);
+  console.log(`Storage: ${storage.describe()}`);
 });
@@ -1,28 +1,250 @@
 // Network-first navigations so auth state is always fresh.
-// Bump CACHE_NAME to invalidate old cached HTML.
-const CACHE_NAME = 'bread-order-app-cache-v4';
+// The app shell listed in /asset-manifest.json is precached per version;
+// server.js fills in ASSET_VERSION from the manifest's content hashes, so a
+// changed asset makes this script change and a new worker install.
+const ASSET_VERSION = '__ASSET_VERSION__';
+const CACHE_PREFIX = 'bread-order-app-cache-';
+const CACHE_NAME = CACHE_PREFIX + ASSET_VERSION;
+// Last good copy of the order book, items and customers, for offline use; the
+// logged-in user (/api/me) too, so queued writes know who made them
+const API_CACHE_NAME = 'bread-order-app-api-v1';
+const OFFLINE_API = ['/api/orders', '/api/items', '/api/customers', '/api/me'];
 
-self.addEventListener('install', (e) => self.skipWaiting());
-self.addEventListener('activate', (e) => e.waitUntil(clients.claim()));
+// Order writes made without a connection are kept in IndexedDB and replayed
+// in order through Background Sync, or when a page reports it is back online.
+// Each entry remembers its user and is only replayed in that user's session,
+// so on a shared device nobody sends someone else's orders as their own.
+const DB_NAME = 'bread-order-app';
+const QUEUE_STORE = 'orderQueue';
+const SYNC_TAG = 'order-queue';
+
+// A new version waits until the page's "reload" banner sends skip-waiting
+self.addEventListener('install', (e) => e.waitUntil(precache()));
+self.addEventListener('activate', (e) => e.waitUntil(removeOldCaches().then(() => clients.claim())));
 
 self.addEventListener('fetch', (event) => {
   const req = event.request;
+  const url = new URL(req.url);
+
+  // Live update stream: leave it to the browser, never cache it
+  if (url.pathname === '/api/events') return;
+
+  // Order create/update/delete: queue when offline
+  if (url.pathname.startsWith('/api/orders') && req.method !== 'GET') {
+    event.respondWith(sendOrQueue(req));
+    return;
+  }
+
+  // Order book, items, customers, user: network first, last good copy when offline
+  if (req.method === 'GET' && OFFLINE_API.includes(url.pathname)) {
+    event.respondWith(networkFirst(req));
+    return;
+  }
 
-  // HTML navigations: prefer network, fallback to cached index if offline
+  // HTML navigations: prefer network, fallback to cached page if offline
   if (req.mode === 'navigate') {
     event.respondWith((async () => {
+      const cache = await caches.open(CACHE_NAME);
+      const key = url.pathname === '/' ? '/index.html' : url.pathname;
       try {
-        return await fetch(req);
+        const res = await fetch(req);
+        // Redirects (e.g. to the login page) would replay wrongly offline
+        if (res.ok && !res.redirected) await cache.put(key, res.clone());
+        return res;
       } catch {
-        const cache = await caches.open(CACHE_NAME);
-        return (await cache.match('/index.html')) || Response.error();
+        return (await cache.match(key)) || (await cache.match('/index.html')) || Response.error();
       }
     })());
     return;
   }
 
-  // For assets, do a simple cache-first (customize as needed)
+  // Scripts and styles: answer from the cache, refresh it in the background
+  if (url.origin === self.location.origin && /\.(js|css)$/.test(url.pathname)) {
+    event.respondWith(staleWhileRevalidate(event, url.pathname));
+    return;
+  }
+
+  // Other assets: cache-first
   event.respondWith(
     caches.match(req).then(resp => resp || fetch(req))
   );
 });
+
+self.addEventListener('sync', (event) => {
+  if (event.tag === SYNC_TAG) event.waitUntil(replayQueue());
+});
+
+// Pages ask for the queue to draw "pending sync" badges, ask for a replay
+// when they come back online (for browsers without Background Sync), and
+// activate a waiting new version from the update banner
+self.addEventListener('message', (event) => {
+  const msg = event.data || {};
+  if (msg.type === 'skip-waiting') self.skipWaiting();
+  if (msg.type === 'get-queue') {
+    event.waitUntil(queueAll().then(entries => event.source.postMessage({ type: 'queue', entries })));
+  }
+  if (msg.type === 'replay') event.waitUntil(replayQueue().catch(() => {}));
+});
+
+async function precache() {
+  const manifest = await fetch('/asset-manifest.json', { cache: 'no-store' }).then(res => res.json());
+  const cache = await caches.open(CACHE_NAME);
+  await Promise.all(Object.keys(manifest.assets).map(async (asset) => {
+    const res = await fetch(asset, { cache: 'reload', credentials: 'same-origin' });
+    // Pages behind the login redirect are cached on the first visit instead
+    if (res.ok && !res.redirected) await cache.put(asset, res);
+  }));
+}
+
+async function removeOldCaches() {
+  const names = await caches.keys();
+  await Promise.all(names
+    .filter(name => name.startsWith(CACHE_PREFIX) && name !== CACHE_NAME)
+    .map(name => caches.delete(name)));
+}
+
+async function staleWhileRevalidate(event, key) {
+  const cache = await caches.open(CACHE_NAME);
+  const cached = await cache.match(key);
+  const refresh = fetch(key).then(res => {
+    if (res.ok) return cache.put(key, res.clone()).then(() => res);
+    return res;
+  });
+  if (!cached) return refresh;
+  event.waitUntil(refresh.catch(() => {}));
+  return cached;
+}
+
+async function networkFirst(req) {
+  const cache = await caches.open(API_CACHE_NAME);
+  try {
+    const res = await fetch(req);
+    if (res.ok) await cache.put(req, res.clone());
+    // Logged out: don't keep serving the previous user's data
+    if (res.status === 401) await caches.delete(API_CACHE_NAME);
+    return res;
+  } catch (err) {
+    return (await cache.match(req)) || Response.error();
+  }
+}
+
+// Who the pages were last told is logged in (null if nobody or unknown)
+async function lastKnownUser() {
+  const cached = await (await caches.open(API_CACHE_NAME)).match('/api/me');
+  if (!cached) return null;
+  const { user } = await cached.json().catch(() => ({}));
+  return user ? user.username : null;
+}
+
+async function sendOrQueue(req) {
+  const entry = {
+    method: req.method,
+    url: req.url,
+    ifMatch: req.headers.get('If-Match'),
+    body: req.method === 'DELETE' ? null : JSON.parse((await req.clone().text()) || 'null'),
+    username: await lastKnownUser(),
+    createdAt: new Date().toISOString()
+  };
+  // A user's writes must reach the server in the order they were made
+  if (!(await queueAll()).some(queued => sameUser(queued, entry.username))) {
+    try {
+      return await fetch(req);
+    } catch (err) {
+      // Offline: queue below
+    }
+  }
+  await queueAdd(entry);
+  await notifyClients({ type: 'queue', entries: await queueAll() });
+  if (self.registration.sync) {
+    await self.registration.sync.register(SYNC_TAG).catch(() => {});
+  }
+  if (navigator.onLine) replayQueue().catch(() => {});
+  return new Response(JSON.stringify({ queued: true }), {
+    status: 202,
+    headers: { 'Content-Type': 'application/json' }
+  });
+}
+
+// One replay at a time; a rejection tells Background Sync to retry later
+let replaying = null;
+function replayQueue() {
+  if (!replaying) replaying = replayEntries().finally(() => { replaying = null; });
+  return replaying;
+}
+// Entries queued before users were recorded belong to whoever is logged in
+function sameUser(entry, username) {
+  return !entry.username || entry.username === username;
+}
+async function replayEntries() {
+  const queued = await queueAll();
+  if (!queued.length) return notifyClients({ type: 'synced' });
+  // Writes need the session's current CSRF token, not the one they were made with
+  const { user, csrfToken } = await fetch('/api/me', { credentials: 'same-origin' }).then(res => res.json());
+  if (!user) {
+    await notifyClients({ type: 'sync-login' });
+    throw new Error('Not logged in');
+  }
+  // Other users' writes wait in the queue until they log in again
+  const entries = queued.filter(entry => sameUser(entry, user.username));
+  const others = [...new Set(queued.filter(entry => !sameUser(entry, user.username)).map(entry => entry.username))];
+  if (others.length) await notifyClients({ type: 'sync-other-user', usernames: others });
+  for (const entry of entries) {
+    const headers = { 'Content-Type': 'application/json', 'X-CSRF-Token': csrfToken };
+    if (entry.ifMatch) headers['If-Match'] = entry.ifMatch;
+    const res = await fetch(entry.url, {
+      method: entry.method,
+      headers,
+      body: entry.body === null ? undefined : JSON.stringify(entry.body),
+      credentials: 'same-origin'
+    });
+    if (res.status === 401) {
+      await notifyClients({ type: 'sync-login' });
+      throw new Error('Not logged in');
+    }
+    if (res.status >= 500) throw new Error(`Server error ${res.status}`);
+    await queueDelete(entry.seq);
+    // Rejected writes leave the queue; the page decides what to do with them
+    if (res.status === 412) {
+      const { current } = await res.json();
+      await notifyClients({ type: 'sync-conflict', entry, current });
+    } else if (!res.ok) {
+      const { error } = await res.json().catch(() => ({}));
+      await notifyClients({ type: 'sync-error', entry, error: error || res.statusText });
+    }
+    await notifyClients({ type: 'queue', entries: await queueAll() });
+  }
+  await notifyClients({ type: 'synced' });
+}
+
+async function notifyClients(msg) {
+  const list = await self.clients.matchAll({ type: 'window' });
+  list.forEach(client => client.postMessage(msg));
+}
+
+// ===== IndexedDB queue =====
+function openDb() {
+  return new Promise((resolve, reject) => {
+    const open = indexedDB.open(DB_NAME, 1);
+    open.onupgradeneeded = () => open.result.createObjectStore(QUEUE_STORE, { keyPath: 'seq', autoIncrement: true });
+    open.onsuccess = () => resolve(open.result);
+    open.onerror = () => reject(open.error);
+  });
+}
+async function withStore(mode, fn) {
+  const db = await openDb();
+  return new Promise((resolve, reject) => {
+    const tx = db.transaction(QUEUE_STORE, mode);
+    const request = fn(tx.objectStore(QUEUE_STORE));
+    tx.oncomplete = () => { db.close(); resolve(request.result); };
+    tx.onerror = () => { db.close(); reject(tx.error); };
+  });
+}
+function queueAll() {
+  return withStore('readonly', store => store.getAll()); // ordered by seq
+}
+function queueAdd(entry) {
+  return withStore('readwrite', store => store.add(entry));
+}
+function queueDelete(seq) {
+  return withStore('readwrite', store => store.delete(seq));
+}
@@ -0,0 +1,300 @@
+/*
+ * Storage backends for the Bread Order App.
+ *
+ * Data is kept as named JSON documents ("orders", "items", "users", ...) plus
+ * append-only logs ("audit"). Every backend implements the same interface:
+ *
+ *   read(name, fallback)  → the stored document, or fallback if there is none
+ *   write(name, value)    → replace the document (throws if it cannot be stored)
+ *   update(name, fallback, fn)
+ *                         → read-modify-write under the document's lock: fn gets
+ *                           the current document and mutates it in place, then
+ *                           it is written back; returning false skips the
+ *                           write. Returns fn's result. Throws, changing
+ *                           nothing, if the stored document is damaged.
+ *   exists(name)          → whether the document has ever been written
+ *   append(name, entry)   → add one entry to a log
+ *   readLog(name)         → all entries of a log, oldest first
+ *   recover(names)        → startup check that repairs damaged documents
+ *   describe()            → human-readable location, for startup logs
+ *
+ * Pick one with STORAGE=json (default, files next to server.js), sqlite
+ * (embedded database, needs the better-sqlite3 package) or memory (nothing
+ * survives a restart; only for read-only hosts and demos).
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const LOCK_TIMEOUT_MS = 5000; // give up waiting for a document lock after this
+const LOCK_STALE_MS = 30000;  // a lock older than this was left by a crashed process
+
+// Shared update() logic: fn mutates the document in place; false means "no change"
+function applyUpdate(current, fn) {
+  const result = fn(current);
+  return { skip: result === false, value: current, result };
+}
+function sleepSync(ms) {
+  Atomics.wait(new Int32Array(new SharedArrayBuffer(4)), 0, 0, ms);
+}
+
+// ===== JSON files: <name>.json documents and <name>.jsonl logs =====
+// Writes go to a temp file that is fsynced and renamed over the document, so a
+// crash leaves either the old or the new version, never a truncated file. The
+// previous version is kept as <name>.json.bak for recover(). Writers take an
+// exclusive <name>.json.lock file, which serializes updates to one document
+// across concurrent requests and across processes (e.g. migrate.js).
+function createJsonStorage(dir) {
+  const docPath = name => path.join(dir, `${name}.json`);
+  const logPath = name => path.join(dir, `${name}.jsonl`);
+  const held = new Set(); // locks held by this process (update() calls write())
+  let tmpCounter = 0;
+
+  function parseFile(p) {
+    return JSON.parse(fs.readFileSync(p, 'utf-8'));
+  }
+  function isReadable(p) {
+    try {
+      parseFile(p);
+      return true;
+    } catch (e) {
+      return false;
+    }
+  }
+  // update() must never build on a fallback for a document that exists but is
+  // damaged: writing that back would replace all of its data
+  function readForUpdate(name, fallback) {
+    const p = docPath(name);
+    if (!fs.existsSync(p)) return fallback;
+    try {
+      return parseFile(p);
+    } catch (e) {
+      throw new Error(`${p} is damaged (${e.message}); not updating it until it is recovered`);
+    }
+  }
+  function withLock(name, fn) {
+    if (held.has(name)) return fn();
+    const lock = docPath(name) + '.lock';
+    const deadline = Date.now() + LOCK_TIMEOUT_MS;
+    for (;;) {
+      try {
+        fs.closeSync(fs.openSync(lock, 'wx'));
+        break;
+      } catch (e) {
+        if (e.code !== 'EEXIST') throw e;
+        try {
+          if (Date.now() - fs.statSync(lock).mtimeMs > LOCK_STALE_MS) {
+            fs.unlinkSync(lock);
+            continue;
+          }
+        } catch (statErr) {
+          continue; // released between our attempts
+        }
+        if (Date.now() > deadline) throw new Error(`Timed out waiting for lock on ${name}`);
+        sleepSync(10);
+      }
+    }
+    held.add(name);
+    try {
+      return fn();
+    } finally {
+      held.delete(name);
+      try { fs.unlinkSync(lock); } catch (e) { /* already gone */ }
+    }
+  }
+  function writeAtomic(name, value) {
+    const p = docPath(name);
+    const tmp = `${p}.tmp-${process.pid}-${++tmpCounter}`;
+    const fd = fs.openSync(tmp, 'w');
+    try {
+      fs.writeSync(fd, JSON.stringify(value, null, 2));
+      fs.fsyncSync(fd);
+    } finally {
+      fs.closeSync(fd);
+    }
+    try {
+      // A damaged document must not replace the last good copy
+      if (fs.existsSync(p) && isReadable(p)) fs.copyFileSync(p, p + '.bak');
+      fs.renameSync(tmp, p);
+    } catch (e) {
+      try { fs.unlinkSync(tmp); } catch (unlinkErr) { /* nothing to clean up */ }
+      throw e;
+    }
+  }
+
+  return {
+    read(name, fallback) {
+      const p = docPath(name);
+      try {
+        if (fs.existsSync(p)) return parseFile(p);
+      } catch (e) {
+        console.warn('Read JSON failed:', p, e.message);
+      }
+      return fallback;
+    },
+    write(name, value) {
+      withLock(name, () => writeAtomic(name, value));
+    },
+    update(name, fallback, fn) {
+      return withLock(name, () => {
+        const { skip, value, result } = applyUpdate(readForUpdate(name, fallback), fn);
+        if (!skip) writeAtomic(name, value);
+        return result;
+      });
+    },
+    // Repair documents a crash or a full disk left unreadable: restore the
+    // last good copy from .bak, or set the damaged file aside. Leftover temp
+    // files and locks from a crashed process are removed.
+    recover(names) {
+      fs.readdirSync(dir).forEach(f => {
+        if (names.some(name => f.startsWith(`${name}.json.tmp-`) || f === `${name}.json.lock`)) {
+          fs.unlinkSync(path.join(dir, f));
+        }
+      });
+      names.forEach(name => {
+        const p = docPath(name);
+        if (!fs.existsSync(p)) return;
+        try {
+          parseFile(p);
+          return;
+        } catch (e) {
+          console.error(`${p} is damaged (${e.message})`);
+        }
+        const damaged = `${p}.damaged-${Date.now()}`;
+        fs.renameSync(p, damaged);
+        try {
+          parseFile(p + '.bak');
+          fs.copyFileSync(p + '.bak', p);
+          console.error(`Restored ${p} from the last good copy; damaged file kept as ${damaged}`);
+        } catch (e) {
+          console.error(`No usable backup for ${p}; damaged file kept as ${damaged}`);
+        }
+      });
+    },
+    exists(name) {
+      return fs.existsSync(docPath(name));
+    },
+    append(name, entry) {
+      fs.appendFileSync(logPath(name), JSON.stringify(entry) + '\n');
+    },
+    readLog(name) {
+      const p = logPath(name);
+      if (!fs.existsSync(p)) return [];
+      return fs.readFileSync(p, 'utf-8').split('\n').filter(Boolean).map(line => {
+        try { return JSON.parse(line); } catch (e) { return null; }
+      }).filter(Boolean);
+    },
+    describe() {
+      return `JSON files in ${dir}`;
+    }
+  };
+}
+
+// ===== Embedded SQLite: one row per document, one row per log entry =====
+function createSqliteStorage(file) {
+  let Database;
+  try {
+    Database = require('better-sqlite3');
+  } catch (e) {
+    throw new Error('STORAGE=sqlite needs the better-sqlite3 package (npm install better-sqlite3)');
+  }
+  const db = new Database(file);
+  db.pragma('journal_mode = WAL');
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS documents (
+      name TEXT PRIMARY KEY,
+      json TEXT NOT NULL,
+      updated_at TEXT NOT NULL
+    );
+    CREATE TABLE IF NOT EXISTS log_entries (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      name TEXT NOT NULL,
+      json TEXT NOT NULL
+    );
+    CREATE INDEX IF NOT EXISTS log_entries_name ON log_entries (name, id);
+  `);
+  const getDoc = db.prepare('SELECT json FROM documents WHERE name = ?');
+  const putDoc = db.prepare(`
+    INSERT INTO documents (name, json, updated_at) VALUES (?, ?, ?)
+    ON CONFLICT(name) DO UPDATE SET json = excluded.json, updated_at = excluded.updated_at
+  `);
+  const addEntry = db.prepare('INSERT INTO log_entries (name, json) VALUES (?, ?)');
+  const listEntries = db.prepare('SELECT json FROM log_entries WHERE name = ? ORDER BY id');
+  return {
+    read(name, fallback) {
+      const row = getDoc.get(name);
+      return row ? JSON.parse(row.json) : fallback;
+    },
+    write(name, value) {
+      putDoc.run(name, JSON.stringify(value), new Date().toISOString());
+    },
+    // BEGIN IMMEDIATE takes SQLite's write lock, serializing updates across processes
+    update: db.transaction((name, fallback, fn) => {
+      const row = getDoc.get(name);
+      const { skip, value, result } = applyUpdate(row ? JSON.parse(row.json) : fallback, fn);
+      if (!skip) putDoc.run(name, JSON.stringify(value), new Date().toISOString());
+      return result;
+    }).immediate,
+    // SQLite's journal already makes every write atomic; just verify the file
+    recover() {
+      const check = db.pragma('quick_check', { simple: true });
+      if (check !== 'ok') console.error(`SQLite integrity check failed for ${file}: ${check}`);
+    },
+    exists(name) {
+      return !!getDoc.get(name);
+    },
+    append(name, entry) {
+      addEntry.run(name, JSON.stringify(entry));
+    },
+    readLog(name) {
+      return listEntries.all(name).map(row => JSON.parse(row.json));
+    },
+    describe() {
+      return `SQLite database ${file}`;
+    }
+  };
+}
+
+// ===== In-memory: explicit opt-in, loses everything on restart =====
+function createMemoryStorage() {
+  const docs = new Map(); // name -> stringified JSON (copies, so callers can't mutate stored data)
+  const logs = new Map(); // name -> stringified entries
+  return {
+    read(name, fallback) {
+      return docs.has(name) ? JSON.parse(docs.get(name)) : fallback;
+    },
+    write(name, value) {
+      docs.set(name, JSON.stringify(value));
+    },
+    update(name, fallback, fn) {
+      const { skip, value, result } = applyUpdate(this.read(name, fallback), fn);
+      if (!skip) this.write(name, value);
+      return result;
+    },
+    recover() {},
+    exists(name) {
+      return docs.has(name);
+    },
+    append(name, entry) {
+      if (!logs.has(name)) logs.set(name, []);
+      logs.get(name).push(JSON.stringify(entry));
+    },
+    readLog(name) {
+      return (logs.get(name) || []).map(line => JSON.parse(line));
+    },
+    describe() {
+      return 'memory (data is lost on restart)';
+    }
+  };
+}
+
+// Build the backend selected by the environment (STORAGE, SQLITE_FILE)
+function createStorage(env, baseDir) {
+  const kind = (env.STORAGE || 'json').toLowerCase();
+  if (kind === 'json') return createJsonStorage(baseDir);
+  if (kind === 'sqlite') return createSqliteStorage(env.SQLITE_FILE || path.join(baseDir, 'data.sqlite'));
+  if (kind === 'memory') return createMemoryStorage();
+  throw new Error(`Unknown STORAGE "${env.STORAGE}", expected json, sqlite or memory`);
+}
+
+module.exports = { createStorage, createJsonStorage, createSqliteStorage, createMemoryStorage };
@@ -0,0 +1,159 @@
+/*
+ * Every API route must turn away callers without a session or API token,
+ * except the few listed in PUBLIC_ROUTES, and the data files next to
+ * server.js must never be served. Runs the real server on a free port with
+ * in-memory storage and sessions, so nothing on disk is touched.
+ */
+
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('node:fs');
+const http = require('node:http');
+const path = require('node:path');
+const { startServer } = require('./helpers');
+
+const DATE = '2026-01-05';
+
+// Every route handleRequest dispatches, with sample ids filled in; the test
+// below fails when server.js gains a route this list does not cover
+const PROTECTED_ROUTES = [
+  ['GET', '/api/password-policy'],
+  ['PUT', '/api/me/password'],
+  ['GET', '/api/sessions'],
+  ['DELETE', '/api/sessions'],
+  ['DELETE', '/api/sessions/some-session'],
+  ['GET', '/api/login-lockouts'],
+  ['DELETE', '/api/login-lockouts/admin'],
+  ['GET', '/api/users'],
+  ['POST', '/api/users'],
+  ['PUT', '/api/users/admin'],
+  ['DELETE', '/api/users/admin'],
+  ['GET', '/api/roles'],
+  ['PUT', '/api/roles/clerk'],
+  ['DELETE', '/api/roles/clerk'],
+  ['GET', '/api/tokens'],
+  ['POST', '/api/tokens'],
+  ['DELETE', '/api/tokens/some-token'],
+  ['GET', '/api/events'],
+  ['GET', '/api/customers'],
+  ['POST', '/api/customers'],
+  ['PUT', '/api/customers/some-customer'],
+  ['DELETE', '/api/customers/some-customer'],
+  ['GET', '/api/audit'],
+  ['GET', `/api/summary?date=${DATE}`],
+  ['GET', `/api/production?date=${DATE}`],
+  ['GET', `/api/orders?date=${DATE}`],
+  ['POST', '/api/orders'],
+  ['POST', '/api/orders/batch'],
+  ['PUT', '/api/orders/some-order'],
+  ['DELETE', '/api/orders/some-order'],
+  ['GET', `/api/days/${DATE}`],
+  ['POST', `/api/days/${DATE}/close-request`],
+  ['POST', `/api/days/${DATE}/close`],
+  ['GET', '/api/standing-orders'],
+  ['POST', '/api/standing-orders'],
+  ['PUT', '/api/standing-orders/some-template'],
+  ['DELETE', '/api/standing-orders/some-template'],
+  ['GET', '/api/standing-orders/some-template/occurrences'],
+  ['PUT', `/api/standing-orders/some-template/occurrences/${DATE}`],
+  ['DELETE', `/api/standing-orders/some-template/occurrences/${DATE}`],
+  ['GET', '/api/items'],
+  ['POST', '/api/items'],
+  ['PUT', '/api/items/0'],
+  ['DELETE', '/api/items/0']
+];
+
+const PUBLIC_PATHS = ['/api/login', '/api/logout', '/api/me'];
+
+const PRIVATE_FILES = ['/orders.json', '/users.json', '/sessions.json', '/api-tokens.json'];
+
+let server;
+let base;
+let csrf; // { cookie, token } of an anonymous visitor, so writes get past the CSRF check
+
+before(async () => {
+  server = await startServer();
+  base = server.base;
+
+  const res = await fetch(`${base}/api/me`);
+  const { user, csrfToken } = await res.json();
+  assert.equal(user, null);
+  csrf = { cookie: `csrf=${csrfToken}`, token: csrfToken };
+});
+
+after(() => {
+  if (server) server.stop();
+});
+
+function anonymous(method, url) {
+  return fetch(base + url, {
+    method,
+    headers: { 'Content-Type': 'application/json', Cookie: csrf.cookie, 'X-CSRF-Token': csrf.token },
+    body: method === 'GET' ? undefined : '{}'
+  });
+}
+
+test('protected API routes answer 401 without a session', async () => {
+  for (const [method, url] of PROTECTED_ROUTES) {
+    const res = await anonymous(method, url);
+    assert.equal(res.status, 401, `${method} ${url}`);
+    assert.deepEqual(await res.json(), { error: 'Unauthorized' }, `${method} ${url}`);
+  }
+});
+
+test('unknown API paths answer 401 without a session too', async () => {
+  for (const method of ['GET', 'POST', 'PUT', 'DELETE']) {
+    const res = await anonymous(method, '/api/no-such-route/42');
+    assert.equal(res.status, 401, method);
+  }
+});
+
+test('the route list covers every API path server.js dispatches on', () => {
+  const source = fs.readFileSync(path.join(__dirname, '..', 'server.js'), 'utf8');
+  // url === '/api/...', url.startsWith('/api/...') and /^\/api\/...\// patterns
+  const prefixes = [
+    ...[...source.matchAll(/url(?: === |\.startsWith\()'(\/api\/[^']*)'/g)].map(m => m[1]),
+    ...[...source.matchAll(/\/\^((?:\\\/[\w-]+)+)/g)].map(m => m[1].replace(/\\\//g, '/')).filter(p => p.startsWith('/api/'))
+  ];
+  assert.ok(prefixes.length > 20, 'found the routes in server.js');
+  const listed = PROTECTED_ROUTES.map(([, url]) => url.split('?')[0]).concat(PUBLIC_PATHS);
+  for (const prefix of prefixes) {
+    assert.ok(listed.some(url => url.startsWith(prefix)), `${prefix} is missing from PROTECTED_ROUTES`);
+  }
+});
+
+test('public API routes answer without a session', async () => {
+  const me = await fetch(`${base}/api/me`);
+  assert.equal(me.status, 200);
+
+  const headers = { 'Content-Type': 'application/json', Cookie: csrf.cookie, 'X-CSRF-Token': csrf.token };
+  const logout = await fetch(`${base}/api/logout`, { method: 'POST', headers });
+  assert.equal(logout.status, 200);
+
+  const login = await fetch(`${base}/api/login`, {
+    method: 'POST', headers, body: JSON.stringify({ username: 'nobody', password: 'wrong' })
+  });
+  // Reaches the route itself, which checks the credentials
+  assert.deepEqual(await login.json(), { error: 'Invalid credentials' });
+});
+
+// fetch() would resolve the ../ itself; send the path as written
+function rawGet(url) {
+  return new Promise((resolve, reject) => {
+    http.get(base + '/', { path: url }, res => {
+      res.resume();
+      resolve(res.statusCode);
+    }).on('error', reject);
+  });
+}
+
+test('data files are not served', async () => {
+  for (const file of PRIVATE_FILES) {
+    const res = await fetch(base + file);
+    assert.equal(res.status, 404, file);
+  }
+  // Nor anything outside the app directory, such as a SQLITE_FILE kept elsewhere
+  for (const file of ['/../../../../../../etc/passwd', '/../package.json', '/..']) {
+    assert.equal(await rawGet(file), 404, file);
+  }
+});
@@ -0,0 +1,51 @@
+/*
+ * Write routes must refuse valid JSON that is not an object (null, a number
+ * or a string) with a 4xx instead of failing inside the handler.
+ */
+
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startServer, adminClient } = require('./helpers');
+
+let server;
+let admin;
+let routes;
+
+before(async () => {
+  server = await startServer();
+  admin = await adminClient(server.base);
+  const customer = await admin.request('POST', '/api/customers', { name: 'Corner Cafe' });
+  const order = await admin.request('POST', '/api/orders', { date: '2030-01-07', customerId: customer.data.id, item: 'Rye', qty: 1 });
+  const standing = await admin.request('POST', '/api/standing-orders', {
+    customerId: customer.data.id, weekdays: [1], lines: [{ item: 'Rye', qty: 1 }], startDate: '2030-01-07'
+  });
+  routes = [
+    ['POST', '/api/users'],
+    ['PUT', '/api/users/admin'],
+    ['PUT', '/api/roles/packer'],
+    ['POST', '/api/tokens'],
+    ['POST', '/api/customers'],
+    ['PUT', `/api/customers/${customer.data.id}`],
+    ['POST', '/api/orders'],
+    ['POST', '/api/orders/batch'],
+    ['PUT', `/api/orders/${order.data.id}`],
+    ['POST', '/api/standing-orders'],
+    ['PUT', `/api/standing-orders/${standing.data.id}`],
+    ['PUT', `/api/standing-orders/${standing.data.id}/occurrences/2030-01-14`],
+    ['POST', '/api/items'],
+    ['PUT', '/api/items/0']
+  ];
+});
+
+after(() => {
+  if (server) server.stop();
+});
+
+test('write routes answer 400 to bodies that are not objects', async () => {
+  for (const [method, url] of routes) {
+    for (const body of [null, 5, 'text']) {
+      const res = await admin.request(method, url, body);
+      assert.ok(res.status >= 400 && res.status < 500, `${method} ${url} ${JSON.stringify(body)}: ${res.status}`);
+    }
+  }
+});
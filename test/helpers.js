@@ -0,0 +1,97 @@
+/*
+ * Shared by the test files: runs the real server on a free port with
+ * in-memory storage and sessions, and a small client that keeps its cookies
+ * and echoes the CSRF token like the pages do.
+ */
+
+const { spawn } = require('node:child_process');
+const net = require('node:net');
+const path = require('node:path');
+
+const SERVER = path.join(__dirname, '..', 'server.js');
+
+function freePort() {
+  return new Promise((resolve, reject) => {
+    const probe = net.createServer();
+    probe.on('error', reject);
+    probe.listen(0, () => {
+      const { port } = probe.address();
+      probe.close(() => resolve(port));
+    });
+  });
+}
+
+/**
+ * Start server.js and wait until it listens. Nothing on disk is touched.
+ * @param {Object} [env] extra environment variables
+ * @returns {Promise<{ base: string, stop: Function }>}
+ */
+async function startServer(env = {}) {
+  const port = await freePort();
+  const child = spawn(process.execPath, [SERVER], {
+    env: { ...process.env, PORT: String(port), STORAGE: 'memory', SESSION_STORE: 'memory', ...env },
+    stdio: ['ignore', 'pipe', 'inherit']
+  });
+  await new Promise((resolve, reject) => {
+    child.on('exit', code => reject(new Error(`server.js exited with ${code}`)));
+    child.stdout.on('data', chunk => {
+      if (String(chunk).includes('is running at')) resolve();
+    });
+  });
+  return { base: `http://localhost:${port}`, stop: () => child.kill() };
+}
+
+/**
+ * A browser-like visitor: keeps cookies between requests and sends the CSRF
+ * token with every write. Starts anonymous; call login() to get a session.
+ * @param {string} base server URL
+ */
+async function createClient(base) {
+  const cookies = {};
+  let csrfToken = '';
+
+  async function request(method, url, body, headers = {}) {
+    const res = await fetch(base + url, {
+      method,
+      redirect: 'manual',
+      headers: {
+        'Content-Type': 'application/json',
+        Cookie: Object.entries(cookies).map(([k, v]) => `${k}=${v}`).join('; '),
+        'X-CSRF-Token': csrfToken,
+        ...headers
+      },
+      body: body === undefined ? undefined : JSON.stringify(body)
+    });
+    res.headers.getSetCookie().forEach(line => {
+      const [pair] = line.split(';');
+      const eq = pair.indexOf('=');
+      cookies[pair.slice(0, eq)] = pair.slice(eq + 1);
+    });
+    const data = (res.headers.get('content-type') || '').includes('application/json') ? await res.json() : await res.text();
+    if (data && data.csrfToken) csrfToken = data.csrfToken;
+    return { status: res.status, data };
+  }
+
+  async function login(username, password) {
+    const res = await request('POST', '/api/login', { username, password });
+    if (res.status !== 200) throw new Error(`Login as ${username} failed: ${res.status}`);
+    return res;
+  }
+
+  await request('GET', '/api/me');
+  return { request, login };
+}
+
+/**
+ * Log in as the default admin and replace its forced password.
+ * @param {string} base server URL
+ */
+async function adminClient(base) {
+  const admin = await createClient(base);
+  await admin.login('admin', 'admin123');
+  const res = await admin.request('PUT', '/api/me/password', { currentPassword: 'admin123', newPassword: 'Good-Pass-123' });
+  if (res.status !== 200) throw new Error(`Password change failed: ${res.status}`);
+  return admin;
+}
+
+module.exports = { startServer, createClient, adminClient };
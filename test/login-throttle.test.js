@@ -0,0 +1,30 @@
+/*
+ * Failed logins are throttled per address. Without TRUST_PROXY the address
+ * is the connection's own, whatever X-Forwarded-For claims.
+ */
+
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startServer, createClient } = require('./helpers');
+
+let server;
+
+before(async () => {
+  server = await startServer();
+});
+
+after(() => {
+  if (server) server.stop();
+});
+
+test('a made-up X-Forwarded-For does not get around the per-address limit', async () => {
+  const visitor = await createClient(server.base);
+  const statuses = [];
+  for (let i = 0; i < 6; i++) {
+    // A new username and address every time, so only the real address repeats
+    const res = await visitor.request('POST', '/api/login', { username: `guess${i}`, password: 'wrong' },
+      { 'X-Forwarded-For': `203.0.113.${i}` });
+    statuses.push(res.status);
+  }
+  assert.ok(statuses.includes(429), `expected a 429 among ${statuses.join(', ')}`);
+});
@@ -0,0 +1,67 @@
+/*
+ * Standing orders must respect the order cutoff like every other write: a
+ * template created or edited after a day's cutoff adds nothing to that day.
+ */
+
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startServer, createClient, adminClient } = require('./helpers');
+
+let server;
+let clerk;
+let customerId;
+
+function localDate(offsetDays) {
+  const d = new Date();
+  d.setDate(d.getDate() + offsetDays);
+  const pad = n => String(n).padStart(2, '0');
+  return `${d.getFullYear()}-${pad(d.getMonth() + 1)}-${pad(d.getDate())}`;
+}
+
+before(async () => {
+  server = await startServer();
+  const admin = await adminClient(server.base);
+  // Cutoff at midnight the day before: today and tomorrow are both locked
+  const customer = await admin.request('POST', '/api/customers', { name: 'Corner Cafe', orderCutoff: '00:00' });
+  assert.equal(customer.status, 201);
+  customerId = customer.data.id;
+  const user = await admin.request('POST', '/api/users', { username: 'clara', password: 'Clerk-Pass-123', role: 'clerk' });
+  assert.equal(user.status, 201);
+  clerk = await createClient(server.base);
+  await clerk.login('clara', 'Clerk-Pass-123');
+});
+
+after(() => {
+  if (server) server.stop();
+});
+
+async function ordersOn(date) {
+  const res = await clerk.request('GET', `/api/orders?date=${date}`);
+  assert.equal(res.status, 200);
+  return res.data;
+}
+
+test('a clerk cannot order past the cutoff directly', async () => {
+  const res = await clerk.request('POST', '/api/orders', { date: localDate(0), customerId, item: 'Rye', qty: 99 });
+  assert.equal(res.status, 409);
+});
+
+test('a new standing order skips days already past their cutoff', async () => {
+  const res = await clerk.request('POST', '/api/standing-orders', {
+    customerId, weekdays: [0, 1, 2, 3, 4, 5, 6], lines: [{ item: 'Rye', qty: 99 }], startDate: localDate(0)
+  });
+  assert.equal(res.status, 201);
+  assert.deepEqual(await ordersOn(localDate(0)), []);
+  assert.deepEqual(await ordersOn(localDate(1)), []);
+});
+
+test('editing a standing order does not reach locked days either', async () => {
+  const created = await clerk.request('POST', '/api/standing-orders', {
+    customerId, weekdays: [0, 1, 2, 3, 4, 5, 6], lines: [{ item: 'Baguette', qty: 5 }], startDate: localDate(30)
+  });
+  assert.equal(created.status, 201);
+  const edited = await clerk.request('PUT', `/api/standing-orders/${created.data.id}`, { startDate: localDate(0) });
+  assert.equal(edited.status, 200);
+  assert.deepEqual(await ordersOn(localDate(0)), []);
+  assert.deepEqual(await ordersOn(localDate(1)), []);
+});
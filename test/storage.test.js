@@ -0,0 +1,68 @@
+/*
+ * The JSON file backend must never lose a document to a damaged file: recover()
+ * brings back the last good copy, and update() refuses to build on a fallback.
+ */
+
+const { test, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('node:fs');
+const os = require('node:os');
+const path = require('node:path');
+const { createJsonStorage } = require('../storage');
+
+let dir;
+let storage;
+
+beforeEach(() => {
+  dir = fs.mkdtempSync(path.join(os.tmpdir(), 'bread-storage-'));
+  storage = createJsonStorage(dir);
+});
+
+afterEach(() => {
+  fs.rmSync(dir, { recursive: true, force: true });
+});
+
+// What a crash or a full disk in the middle of a write leaves behind
+function truncate(name) {
+  const p = path.join(dir, `${name}.json`);
+  fs.writeFileSync(p, fs.readFileSync(p, 'utf-8').slice(0, 10));
+}
+
+test('recover() restores a truncated document from its .bak', () => {
+  storage.write('orders', [{ id: 'a', qty: 1 }]);
+  storage.write('orders', [{ id: 'a', qty: 1 }, { id: 'b', qty: 2 }]);
+  truncate('orders');
+
+  storage.recover(['orders']);
+
+  // The .bak holds the version before the last write
+  assert.deepEqual(storage.read('orders', null), [{ id: 'a', qty: 1 }]);
+  const kept = fs.readdirSync(dir).filter(f => f.startsWith('orders.json.damaged-'));
+  assert.equal(kept.length, 1, 'the damaged file is set aside, not deleted');
+});
+
+test('writing over a damaged document keeps the last good .bak', () => {
+  storage.write('orders', [{ id: 'a' }]);
+  storage.write('orders', [{ id: 'a' }, { id: 'b' }]);
+  truncate('orders');
+  storage.write('orders', [{ id: 'c' }]);
+  truncate('orders');
+
+  storage.recover(['orders']);
+
+  // The damaged file in between was never copied over the backup
+  assert.deepEqual(storage.read('orders', null), [{ id: 'a' }]);
+});
+
+test('update() throws on a damaged document instead of overwriting it with the fallback', () => {
+  storage.write('orders', [{ id: 'a', qty: 1 }]);
+  truncate('orders');
+  const damaged = fs.readFileSync(path.join(dir, 'orders.json'), 'utf-8');
+
+  let called = false;
+  assert.throws(() => storage.update('orders', [], orders => { called = true; orders.push({ id: 'b' }); }), /damaged/);
+
+  assert.equal(called, false);
+  assert.equal(fs.readFileSync(path.join(dir, 'orders.json'), 'utf-8'), damaged);
+  assert.equal(fs.existsSync(path.join(dir, 'orders.json.lock')), false, 'the lock is released');
+});